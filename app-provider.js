@@ -0,0 +1,193 @@
+// @ts-check
+
+import { App, Octokit } from 'octokit';
+
+import { createRequest } from './request-builder.js';
+import { AuthError, NotFoundError } from './errors.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+/**
+ * How long before expiry an installation token is re-minted, unless configured otherwise.
+ */
+const TOKEN_MARGIN = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Creates a provider to access Octokit as any installation of a GitHub App.
+ * Installations are resolved by account through the app's installation listing, which is cached and reloaded when an
+ * account cannot be found in it. One client is cached per installation and token scope; its installation token is
+ * re-minted shortly before it expires.
+ * @callback CreateAppProvider
+ * @param {string} appID
+ * @param {string} pem
+ * @param {AppProviderOptions} [options]
+ * @returns {AppProvider}
+ */
+const createAppProvider = (appID, pem, { tokenMargin = TOKEN_MARGIN, octokitOptions = {} } = {}) => {
+    const app = new App({ appId: appID, privateKey: pem, Octokit: Octokit.defaults(octokitOptions) });
+    const clients = new Map();
+    let installations = null;
+
+    const listInstallations = async (reload = false) => {
+        if (installations && !reload)
+            return { success: true, data: installations };
+
+        const listed = await createRequest('GET /app/installations', {}).paginate().runWith(app.octokit);
+
+        if (listed.success)
+            installations = listed.data;
+
+        return listed;
+    }
+
+    /**
+     * @param {string} owner - The user or organization the app is installed on.
+     * @returns {Promise<Result<number>>}
+     */
+    const getInstallationID = async (owner) => {
+        for (const reload of [false, true]) {
+            const listed = await listInstallations(reload);
+
+            if (!listed.success)
+                return listed;
+
+            const installation = listed.data.find(({ account }) => account?.login.toLowerCase() === owner.toLowerCase());
+
+            if (installation)
+                return { success: true, data: installation.id };
+        }
+
+        return { success: false, error: new NotFoundError(`App is not installed on ${owner}.`, { status: 404 }) };
+    }
+
+    const createClient = (installationID, { repositories, repositoryIDs, permissions }) => {
+        let token = null;
+        let expiresAt = 0;
+        let inFlightMint = null;
+
+        const getToken = () => {
+            if (token && Date.now() < expiresAt - tokenMargin)
+                return Promise.resolve(token);
+
+            if (inFlightMint)
+                return inFlightMint;
+
+            inFlightMint = (async () => {
+                const minted = await createRequest(
+                    'POST /app/installations/{installation_id}/access_tokens',
+                    { installation_id: installationID, repositories, repository_ids: repositoryIDs, permissions }
+                ).runWith(app.octokit);
+
+                if (!minted.success)
+                    throw minted.error;
+
+                token = minted.data.token;
+                expiresAt = Date.parse(minted.data.expires_at);
+
+                return token;
+            })().finally(() => {
+                inFlightMint = null;
+            });
+
+            return inFlightMint;
+        }
+
+        const authStrategy = () => Object.assign(
+            async () => ({ type: 'token', tokenType: 'installation', token: await getToken() }),
+            {
+                hook: async (request, route, parameters) => {
+                    const endpoint = request.endpoint.merge(route, parameters);
+
+                    endpoint.headers.authorization = `token ${await getToken()}`;
+
+                    return request(endpoint);
+                }
+            }
+        );
+
+        return { octokit: new Octokit({ ...octokitOptions, authStrategy }), getToken };
+    }
+
+    /**
+     * @param {number} installationID
+     * @param {TokenScope} [scope]
+     * @returns {Promise<Result<FullOctokit>>}
+     */
+    const forInstallation = async (installationID, scope = {}) => {
+        const key = JSON.stringify([installationID, scope.repositories, scope.repositoryIDs, scope.permissions]);
+
+        if (!clients.has(key))
+            clients.set(key, createClient(installationID, scope));
+
+        const client = clients.get(key);
+
+        try {
+            await client.getToken();
+
+            return { success: true, data: client.octokit };
+        } catch (e) {
+            log.error('Failed to create Octokit.', { operation: 'forInstallation', error: e });
+
+            clients.delete(key);
+
+            return { success: false, error: new AuthError('Failed to create Octokit.', { cause: e }) };
+        }
+    }
+
+    /**
+     * @param {string} owner
+     * @param {TokenScope} [scope]
+     * @returns {Promise<Result<FullOctokit>>}
+     */
+    const forOwner = async (owner, scope) => {
+        const installationID = await getInstallationID(owner);
+
+        if (!installationID.success)
+            return installationID;
+
+        return forInstallation(installationID.data, scope);
+    }
+
+    /**
+     * @param {string} owner
+     * @param {string} repo
+     * @param {TokenScope} [scope] - Defaults to a token for just this repository.
+     * @returns {Promise<Result<FullOctokit>>}
+     */
+    const forRepo = async (owner, repo, scope = { repositories: [repo] }) => forOwner(owner, scope);
+
+    return { app, getInstallationID, forInstallation, forOwner, forRepo };
+}
+
+export { createAppProvider };
+
+/**
+ * @typedef {Object} AppProviderOptions
+ * @property {number} [tokenMargin] - How long before expiry to re-mint tokens, in milliseconds.
+ * @property {Object} [octokitOptions] - Options for the app's and the installations' Octokits, e.g. `baseUrl` and
+ *     `request.fetch` for GitHub Enterprise Server. Their authentication is always the provider's.
+ */
+
+/**
+ * @typedef {Object} TokenScope
+ * @property {string[]} [repositories] - Repository names the token is limited to.
+ * @property {number[]} [repositoryIDs] - Repository IDs the token is limited to.
+ * @property {Record<string, 'read' | 'write' | 'admin'>} [permissions] - Permissions the token is limited to.
+ */
+
+/**
+ * @typedef {Object} AppProvider
+ * @property {App} app - The underlying app, authenticated as the app itself.
+ * @property {(owner: string) => Promise<Result<number>>} getInstallationID
+ * @property {(installationID: number, scope?: TokenScope) => Promise<Result<FullOctokit>>} forInstallation
+ * @property {(owner: string, scope?: TokenScope) => Promise<Result<FullOctokit>>} forOwner
+ * @property {(owner: string, repo: string, scope?: TokenScope) => Promise<Result<FullOctokit>>} forRepo
+ */
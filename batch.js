@@ -0,0 +1,280 @@
+// @ts-check
+
+import { createRequest } from './request-builder.js';
+import { getRateLimitBudget, withRateLimitBudget } from './rate-limit.js';
+import { log, withLogContext } from './logger.js';
+import { failSpan, withSpan } from './telemetry.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+const VISIBILITIES = ['all', 'public', 'private', 'internal'];
+
+/**
+ * Turns a name pattern into a regular expression. In a string, `*` matches any characters.
+ * @param {string | RegExp} pattern
+ * @returns {RegExp}
+ */
+const toRegExp = (pattern) => pattern instanceof RegExp ?
+    pattern :
+    new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+/**
+ * Parses an `owner/name` string or a `{ owner, repo }` object.
+ * @param {string | BatchRepository} repository
+ * @returns {BatchRepository}
+ */
+const toRepository = (repository) => {
+    if (typeof repository === 'string') {
+        const [owner, repo, ...rest] = repository.split('/');
+
+        if (!owner || !repo || rest.length)
+            throw new Error(`${repository} must be written as owner/name!`);
+
+        return { owner, repo, archived: false };
+    }
+
+    if (typeof repository?.owner !== 'string' || typeof repository?.repo !== 'string')
+        throw new Error('repos must be owner/name strings or { owner, repo } objects!');
+
+    return { owner: repository.owner, repo: repository.repo, archived: repository.archived ?? false };
+}
+
+/**
+ * Resolves a selector to the repositories it matches. An explicit list is taken as it is; otherwise the repositories
+ * of the organization are listed and filtered by topic, name pattern and visibility. Archived repositories are kept,
+ * marked as such.
+ * @callback SelectRepositories
+ * @param {FullOctokit} octokit
+ * @param {RepositorySelector} selector
+ * @returns {Promise<Result<BatchRepository[]>>}
+ */
+const selectRepositories = async (octokit, selector) => {
+    if (selector === null || typeof selector !== 'object')
+        throw new Error('selector must be an Object!');
+
+    const { repos, org, topic = null, pattern = null, visibility = 'all' } = selector;
+
+    if (repos !== undefined) {
+        if (!Array.isArray(repos))
+            throw new Error('repos must be an Array!');
+
+        return { success: true, data: repos.map(toRepository) };
+    }
+
+    if (typeof org !== 'string' || !org)
+        throw new Error('selector must have repos or an org!');
+
+    if (!VISIBILITIES.includes(visibility))
+        throw new Error(`visibility must be one of ${VISIBILITIES.join(', ')}!`);
+
+    if (pattern !== null && typeof pattern !== 'string' && !(pattern instanceof RegExp))
+        throw new Error('pattern must be a string or a RegExp!');
+
+    const listed = await createRequest(
+        'GET /orgs/{org}/repos',
+        { org, type: visibility === 'public' || visibility === 'private' ? visibility : 'all' }
+    ).paginate().runWith(octokit);
+
+    if (!listed.success)
+        return listed;
+
+    const namePattern = pattern === null ? null : toRegExp(pattern);
+
+    return {
+        success: true,
+        data: listed.data
+            .filter((repo) => visibility === 'all' || repo.visibility === visibility)
+            .filter((repo) => topic === null || (repo.topics ?? []).includes(topic))
+            .filter((repo) => namePattern === null || namePattern.test(repo.name))
+            .map((repo) => ({ owner: repo.owner.login, repo: repo.name, archived: repo.archived ?? false }))
+    };
+}
+
+/**
+ * Runs the operation against one repository. An operation may return a `Result`, which is unwrapped, or a plain value;
+ * throwing fails the repository.
+ * @param {BatchOperation} operation
+ * @param {FullOctokit} octokit
+ * @param {BatchRepository} repository
+ * @param {AbortSignal | null} signal
+ * @returns {Promise<BatchEntry>}
+ */
+const runOne = async (operation, octokit, repository, signal) => {
+    const { owner, repo } = repository;
+    const name = `${owner}/${repo}`;
+    const start = Date.now();
+
+    const traced = async (span) => {
+        try {
+            const value = await operation(octokit, { owner, repo }, { signal });
+
+            if (value !== null && typeof value === 'object' && typeof value.success === 'boolean' && !value.success)
+                throw value.error;
+
+            const data = value !== null && typeof value === 'object' && value.success === true ? value.data : value;
+
+            return { repository: name, owner, repo, status: 'succeeded', data, duration: Date.now() - start };
+        } catch (e) {
+            failSpan(span, e);
+            log.warn(`Batch operation failed for ${name}.`, { duration: Date.now() - start, error: e });
+
+            return { repository: name, owner, repo, status: 'failed', error: e, duration: Date.now() - start };
+        }
+    };
+
+    return withLogContext({ operation: `runBatch ${name}` }, () =>
+        withSpan(`runBatch ${name}`, { attributes: { 'github.repository': name } }, traced)
+    );
+}
+
+/**
+ * Applies an operation to every repository a selector matches, with at most `concurrency` repositories at a time.
+ * All requests share the rate limit budget of the Octokit, so the batch slows down together as the limit runs low.
+ *
+ * Archived repositories are skipped unless the selector includes them. Once the signal is aborted no more repositories
+ * are started: the ones that are running see the signal and finish, and the rest are skipped.
+ * @callback RunBatch
+ * @param {FullOctokit} octokit
+ * @param {RepositorySelector} selector
+ * @param {BatchOperation} operation - E.g. `(octokit, { owner, repo }) => ensureBranchExists(octokit, owner, repo,
+ *     'release')`.
+ * @param {BatchOptions} [options]
+ * @returns {Promise<Result<BatchReport>>} A failure only if the repositories could not be selected.
+ */
+const runBatch = async (octokit, selector, operation, { concurrency = 5, signal = null, budget = null } = {}) => {
+    if (typeof operation !== 'function')
+        throw new Error('operation must be a function!');
+
+    if (!Number.isInteger(concurrency) || concurrency < 1)
+        throw new Error('concurrency must be a positive integer!');
+
+    if (signal !== null && !(signal instanceof AbortSignal))
+        throw new Error('signal must be an AbortSignal!');
+
+    const attributes = { 'octokit_wrapper.batch.concurrency': concurrency };
+    const run = () => withSpan('runBatch', { attributes }, async (span) => {
+        const selected = await selectRepositories(octokit, selector);
+
+        if (!selected.success) {
+            failSpan(span, selected.error);
+
+            return selected;
+        }
+
+        const repositories = selected.data;
+        /** @type {BatchEntry[]} */
+        const results = new Array(repositories.length);
+        let next = 0;
+
+        const skip = (idx, reason) => {
+            const { owner, repo } = repositories[idx];
+
+            results[idx] = { repository: `${owner}/${repo}`, owner, repo, status: 'skipped', reason, duration: 0 };
+        };
+
+        const work = async () => {
+            while (next < repositories.length) {
+                const idx = next++;
+
+                if (signal?.aborted)
+                    skip(idx, 'aborted');
+                else if (repositories[idx].archived && !selector.includeArchived)
+                    skip(idx, 'archived');
+                else
+                    results[idx] = await runOne(operation, octokit, repositories[idx], signal);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, repositories.length) }, work));
+
+        const count = (status) => results.filter((result) => result.status === status).length;
+        const report = {
+            results,
+            succeeded: count('succeeded'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            aborted: signal?.aborted ?? false,
+            rateLimit: getRateLimitBudget(octokit).snapshot()
+        };
+
+        span.setAttributes({
+            'octokit_wrapper.batch.repositories': repositories.length,
+            'octokit_wrapper.batch.failed': report.failed
+        });
+
+        log.info(`Batch finished: ${report.succeeded} succeeded, ${report.failed} failed, ${report.skipped} skipped.`, {
+            operation: 'runBatch'
+        });
+
+        return { success: true, data: report };
+    });
+
+    return budget !== null ? withRateLimitBudget(octokit, budget, run) : run();
+}
+
+export { selectRepositories, runBatch };
+
+/**
+ * @typedef {Object} BatchRepository
+ * @property {string} owner
+ * @property {string} repo
+ * @property {boolean} [archived] - Archived repositories are skipped unless the selector includes them.
+ */
+
+/**
+ * Either an explicit list of repositories, or the repositories of an organization, narrowed down by the filters.
+ * @typedef {Object} RepositorySelector
+ * @property {Array<string | BatchRepository>} [repos] - `owner/name` strings or `{ owner, repo }` objects.
+ * @property {string} [org]
+ * @property {string} [topic] - Only repositories with this topic.
+ * @property {string | RegExp} [pattern] - Only repositories whose name matches. In a string, `*` matches anything.
+ * @property {'all' | 'public' | 'private' | 'internal'} [visibility] - Defaults to `all`.
+ * @property {boolean} [includeArchived] - Archived repositories are skipped unless this is set.
+ */
+
+/**
+ * @callback BatchOperation
+ * @param {FullOctokit} octokit
+ * @param {{ owner: string, repo: string }} repository
+ * @param {{ signal: AbortSignal | null }} options
+ * @returns {Promise<any>} A `Result`, or a plain value. Failing results and thrown errors fail the repository.
+ */
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} [concurrency] - How many repositories to work on at a time, defaults to 5.
+ * @property {AbortSignal | null} [signal] - Stops the batch from starting more repositories.
+ * @property {import('./rate-limit.js').RateLimitBudget | null} [budget] - A budget for the requests of the batch, e.g.
+ *     one with a bigger reserve. Other requests made with the Octokit keep its own budget. Defaults to the Octokit's
+ *     budget.
+ */
+
+/**
+ * @typedef {Object} BatchEntry
+ * @property {string} repository - `owner/name`.
+ * @property {string} owner
+ * @property {string} repo
+ * @property {'succeeded' | 'failed' | 'skipped'} status
+ * @property {any} [data] - What the operation returned, if it succeeded.
+ * @property {Error} [error] - Why the operation failed.
+ * @property {'aborted' | 'archived'} [reason] - Why the repository was skipped.
+ * @property {number} duration - In milliseconds.
+ */
+
+/**
+ * @typedef {Object} BatchReport
+ * @property {BatchEntry[]} results - One entry per selected repository, in the order they were selected.
+ * @property {number} succeeded
+ * @property {number} failed
+ * @property {number} skipped
+ * @property {boolean} aborted - Whether the signal was aborted.
+ * @property {{ remaining: number | null, resetAt: number, blockedUntil: number }} rateLimit - The budget of the batch
+ *     when it finished.
+ */
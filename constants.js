@@ -1,2 +1,5 @@
 export const HEADER = {accept: 'application/json'};
-export const OAUTH_URL = 'POST https://github.com/login/oauth/access_token';
\ No newline at end of file
+export const OAUTH_URL = 'POST https://github.com/login/oauth/access_token';
+export const OAUTH_AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
+export const DEVICE_CODE_URL = 'POST https://github.com/login/device/code';
+export const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
\ No newline at end of file
@@ -0,0 +1,180 @@
+// @ts-check
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+import { redact } from './redact.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+const scope = new AsyncLocalStorage();
+const dryRunPlans = new WeakMap();
+
+/**
+ * Routes that only obtain credentials: the OAuth token exchange and refresh, device codes and installation tokens.
+ * They are sent in dry-run mode too, as the reads of the dry run need the credentials they return.
+ */
+const CREDENTIAL_ROUTE = /\/login\/(oauth\/access_token|device\/code)$|^\/app\/installations\/[^/]+\/access_tokens$/;
+
+/**
+ * Works out the method and route of a request made with a route string or an `octokit.rest` method.
+ * @param {string | Function} restQuery
+ * @returns {{ method: string, route: string }}
+ */
+const describeRequest = (restQuery) => {
+    if (typeof restQuery === 'function') {
+        // `octokit.rest` methods carry their endpoint defaults.
+        const endpoint = /** @type {{ endpoint?: { DEFAULTS?: { method?: string, url?: string } } }} */ (restQuery)
+            .endpoint;
+        const { method = 'GET', url = '' } = endpoint?.DEFAULTS ?? {};
+
+        return { method, route: url };
+    }
+
+    const [, method = 'GET', route = restQuery] = restQuery.match(/^([A-Z]+)\s+(.*)$/) ?? [];
+
+    return { method, route };
+}
+
+/**
+ * Works out the type of the operation a GraphQL document runs: its only operation, or the one named
+ * `operationName`. Comments, strings and fragment definitions are skipped, and a bare selection set is a query.
+ * @param {string} query
+ * @param {string} [operationName]
+ * @returns {string | null} E.g. `query` or `mutation`, or `null` if the operation cannot be found.
+ */
+const getOperationType = (query, operationName) => {
+    const source = query
+        .replace(/"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"/g, '""')
+        .replace(/#[^\n\r]*/g, '');
+    const operations = [];
+    let depth = 0;
+    let parentheses = 0;
+    let header = null;
+
+    for (const [token, keyword, name = null] of source.matchAll(
+        /[{}()]|\b(query|mutation|subscription|fragment)\b(?:\s+([_A-Za-z]\w*))?/g
+    )) {
+        if (token === '(')
+            parentheses++;
+        else if (token === ')')
+            parentheses--;
+        else if (parentheses > 0)
+            continue;
+        else if (token === '{') {
+            if (depth++ === 0) {
+                operations.push(header ?? { type: 'query', name: null });
+                header = null;
+            }
+        } else if (token === '}')
+            depth--;
+        else if (depth === 0)
+            header = { type: keyword, name };
+    }
+
+    const runnable = operations.filter(({ type }) => type !== 'fragment');
+    const operation = operationName ?
+        runnable.find(({ name }) => name === operationName) :
+        runnable.length === 1 ? runnable[0] : null;
+
+    return operation?.type ?? null;
+}
+
+/**
+ * Whether a request changes anything. GraphQL requests only do when they are not plainly queries, and requests that
+ * obtain credentials never do.
+ * @param {{ method: string, route: string }} request
+ * @param {Object} [queryObject]
+ * @returns {boolean}
+ */
+const isWrite = ({ method, route }, queryObject) => {
+    if (method === 'GET' || method === 'HEAD' || CREDENTIAL_ROUTE.test(route))
+        return false;
+
+    if (/\/graphql$/.test(route))
+        return getOperationType(queryObject?.query ?? '', queryObject?.operationName) !== 'query';
+
+    return true;
+}
+
+/**
+ * Finds the plan a write to this Octokit must be recorded in instead of being sent, if any. A `dryRun` callback
+ * takes precedence over the Octokit's own dry-run setting.
+ * @param {FullOctokit} octokit
+ * @returns {PlannedWrite[] | null}
+ */
+const getActivePlan = (octokit) => scope.getStore() ?? dryRunPlans.get(octokit) ?? null;
+
+/**
+ * Records a request in the active plan when it is a write made in dry-run mode.
+ * @param {FullOctokit} octokit
+ * @param {string | Function} restQuery
+ * @param {Object} queryObject
+ * @returns {PlannedWrite | null} The recorded write, or `null` if the request must be sent.
+ */
+const planWrite = (octokit, restQuery, queryObject) => {
+    const plan = getActivePlan(octokit);
+
+    if (!plan)
+        return null;
+
+    const request = describeRequest(restQuery);
+
+    if (!isWrite(request, queryObject))
+        return null;
+
+    const write = { ...request, params: redact(queryObject ?? {}) };
+
+    plan.push(write);
+
+    return write;
+}
+
+/**
+ * Turns dry-run mode on or off for an Octokit. While it is on, requests that would change anything are recorded in
+ * its plan instead of being sent; reads, and requests for tokens, are still sent.
+ * @param {FullOctokit} octokit
+ * @param {boolean} [enabled]
+ */
+const setDryRun = (octokit, enabled = true) => {
+    if (!enabled)
+        dryRunPlans.delete(octokit);
+    else if (!dryRunPlans.has(octokit))
+        dryRunPlans.set(octokit, []);
+}
+
+/**
+ * Gets the writes recorded for an Octokit in dry-run mode.
+ * @param {FullOctokit} octokit
+ * @returns {PlannedWrite[] | null} `null` if the Octokit is not in dry-run mode.
+ */
+const getDryRunPlan = (octokit) => dryRunPlans.has(octokit) ? [...dryRunPlans.get(octokit)] : null;
+
+/**
+ * Runs a callback in dry-run mode, for every Octokit it uses. Writes are recorded in the plan instead of being sent.
+ * A dry run inside another one records its writes in both plans.
+ * @template T
+ * @param {() => Promise<T> | T} callback
+ * @returns {Promise<{ result: T, plan: PlannedWrite[] }>}
+ */
+const dryRun = async (callback) => {
+    const outer = scope.getStore();
+    /** @type {PlannedWrite[]} */
+    const plan = [];
+
+    try {
+        return { result: await scope.run(plan, callback), plan };
+    } finally {
+        outer?.push(...plan);
+    }
+}
+
+export { setDryRun, getDryRunPlan, dryRun, planWrite, describeRequest };
+
+/**
+ * @typedef {Object} PlannedWrite
+ * @property {string} method - E.g. `PUT`.
+ * @property {string} route - E.g. `/repos/{owner}/{repo}/contents/{path}`.
+ * @property {Object} params - The request parameters, with sensitive values redacted.
+ */
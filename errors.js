@@ -0,0 +1,219 @@
+// @ts-check
+
+import { getRateLimitDelay } from './rate-limit.js';
+
+/**
+ * A failed request to GitHub, or a failure around one. Keeps what is known about the request that failed, so callers
+ * can branch on the error's class and still see the status and response.
+ */
+export class GitHubError extends Error {
+    /**
+     * @param {string} message
+     * @param {GitHubErrorOptions} [options]
+     */
+    constructor(message, {
+        status = null,
+        requestID = null,
+        route = null,
+        attempts = [],
+        graphQLErrors = [],
+        response,
+        cause
+    } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+
+        this.name = this.constructor.name;
+        this.status = status;
+        this.requestID = requestID;
+        this.route = route;
+        this.attempts = attempts;
+        this.graphQLErrors = graphQLErrors;
+        this.response = response;
+    }
+}
+
+/**
+ * The resource does not exist, or the credentials cannot see it.
+ */
+export class NotFoundError extends GitHubError {}
+
+/**
+ * The resource changed in the meantime, e.g. a branch moved or a file's SHA no longer matches.
+ */
+export class ConflictError extends GitHubError {
+    /**
+     * @param {string} message
+     * @param {GitHubErrorOptions & { paths?: string[] }} [options] - `paths` lists the conflicting files, if known.
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+
+        this.paths = options.paths ?? [];
+    }
+}
+
+/**
+ * A primary or secondary rate limit was hit.
+ */
+export class RateLimitError extends GitHubError {
+    /**
+     * @param {string} message
+     * @param {GitHubErrorOptions & { limit?: 'primary' | 'secondary' | null, retryAfter?: number | null }} [options]
+     *     - Which limit was hit, and how many milliseconds until it resets.
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+
+        this.limit = options.limit ?? null;
+        this.retryAfter = options.retryAfter ?? null;
+    }
+}
+
+/**
+ * The credentials are missing, invalid, expired or not allowed to do this.
+ */
+export class AuthError extends GitHubError {}
+
+/**
+ * GitHub or the wrapper rejected the input.
+ */
+export class ValidationError extends GitHubError {
+    /**
+     * @param {string} message
+     * @param {GitHubErrorOptions & { violations?: string[] }} [options] - `violations` lists every problem found.
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+
+        this.violations = options.violations ?? [];
+    }
+}
+
+/**
+ * Every attempt failed. The last failure is the `cause`.
+ */
+export class RetryExhaustedError extends GitHubError {}
+
+/**
+ * Picks the error class for a status.
+ * @param {number | null} status
+ * @returns {typeof GitHubError}
+ */
+const classForStatus = (status) => {
+    switch (status) {
+        case 401:
+        case 403:
+            return AuthError;
+        case 404:
+            return NotFoundError;
+        case 409:
+            return ConflictError;
+        case 400:
+        case 422:
+            return ValidationError;
+        default:
+            return GitHubError;
+    }
+}
+
+/**
+ * Turns an Octokit request error into the matching typed error, keeping its status, request ID, route and response.
+ * Errors without a status are not from GitHub and are returned as they are, unless a message is given.
+ * @param {any} error
+ * @param {{ message?: string, route?: string | null, attempts?: AttemptRecord[] }} [context] - With a message, a new
+ *     error of the same class is created with the original as its cause.
+ * @returns {Error}
+ */
+export const toGitHubError = (error, { message, route, attempts } = {}) => {
+    if (error instanceof GitHubError && message === undefined) {
+        error.route ??= route ?? null;
+
+        if (attempts)
+            error.attempts = attempts;
+
+        return error;
+    }
+
+    const status = typeof error?.status === 'number' ? error.status : null;
+
+    if (status === null && message === undefined)
+        return error;
+
+    const options = {
+        status,
+        requestID: error?.requestID ?? error?.response?.headers?.['x-github-request-id'] ?? null,
+        route: route ?? error?.route ??
+            (error?.request ? `${error.request.method} ${error.request.url}` : null),
+        attempts: attempts ?? error?.attempts ?? [],
+        graphQLErrors: error?.graphQLErrors ?? [],
+        response: error?.response,
+        cause: error
+    };
+
+    const rateLimit = getRateLimitDelay(error);
+
+    if (rateLimit)
+        return new RateLimitError(message ?? error.message, {
+            ...options,
+            limit: rateLimit.type,
+            retryAfter: rateLimit.delay
+        });
+
+    const ErrorClass = error instanceof GitHubError ? /** @type {typeof GitHubError} */ (error.constructor) :
+        classForStatus(status);
+
+    return new ErrorClass(message ?? error.message, {
+        ...options,
+        ...(error?.paths ? { paths: error.paths } : {}),
+        ...(error?.violations ? { violations: error.violations } : {})
+    });
+}
+
+/**
+ * Turns the `errors` of a GraphQL response into a typed error, based on the type of the first one. Any
+ * `RATE_LIMITED` error makes it a `RateLimitError`.
+ * @param {Array<{ type?: string, message: string, path?: string[] }>} errors
+ * @param {{ route?: string | null, response?: any }} [context]
+ * @returns {GitHubError}
+ */
+export const fromGraphQLErrors = (errors, { route = 'POST /graphql', response } = {}) => {
+    const ErrorClass = {
+        NOT_FOUND: NotFoundError,
+        FORBIDDEN: AuthError,
+        RATE_LIMITED: RateLimitError,
+        UNPROCESSABLE: ValidationError
+    }[errors[0]?.type] ?? GitHubError;
+    const message = errors.map(({ message }) => message).join('; ');
+    const options = {
+        route,
+        response,
+        graphQLErrors: errors,
+        requestID: response?.headers?.['x-github-request-id'] ?? null
+    };
+    const rateLimit = getRateLimitDelay(options);
+
+    if (rateLimit)
+        return new RateLimitError(message, { ...options, limit: rateLimit.type, retryAfter: rateLimit.delay });
+
+    return new ErrorClass(message, options);
+}
+
+/**
+ * @typedef {Object} AttemptRecord
+ * @property {number} attempt - Starting at 1.
+ * @property {number | null} status
+ * @property {string} message
+ * @property {number | null} delay - How long was waited before the next attempt, in milliseconds.
+ */
+
+/**
+ * @typedef {Object} GitHubErrorOptions
+ * @property {number | null} [status] - The HTTP status, if there was a response.
+ * @property {string | null} [requestID] - The `x-github-request-id` header, to quote to GitHub support.
+ * @property {string | null} [route] - E.g. `PUT /repos/{owner}/{repo}/contents/{path}`.
+ * @property {AttemptRecord[]} [attempts] - Every failed attempt, in order.
+ * @property {Array<{ type?: string, message: string, path?: string[] }>} [graphQLErrors] - The `errors` of a GraphQL
+ *     response.
+ * @property {any} [response] - The Octokit response, with its headers and data.
+ * @property {any} [cause] - The original error.
+ */
@@ -0,0 +1,168 @@
+import {readFile} from 'node:fs/promises';
+import {parse} from 'yaml';
+
+import {OctokitWrapper} from '../octokit-wrapper.js';
+import {Task} from './classes/task.js';
+import {TaskChain} from './classes/taskChain.js';
+import {TaskRegistry} from './classes/taskRegistry.js';
+
+const TASK_KEYS = [
+    "label", "type", "params", "inputs", "retries", "interval", "maxRateLimitWait", "dependsOn", "continueOnError"
+];
+const TEMPLATE = /\{\{\s*((?:inputs|steps)(?:\.[\w-]+)+)\s*\}\}/g;
+
+/**
+ * Unwraps a result so failures surface as thrown errors, which is what `Task` retries and reports on.
+ */
+const unwrap = (result) => {
+    if (!result.success)
+        throw result.error;
+
+    return result.data;
+};
+
+const requireOctokit = (octokit) => {
+    if (!octokit)
+        throw new Error("Chain must be built with an octokit to run wrapper tasks!");
+
+    return octokit;
+};
+
+/**
+ * Task types for the wrapper operations. The operations retry their requests already, so tasks of these types are
+ * attempted once unless their definition sets `retries`; otherwise both retries would multiply.
+ * @type {Object<string, import('./classes/taskRegistry.js').ActionFactory>}
+ */
+export const builtInTasks = {
+    ensureBranchExists: ({ owner, repo, branch, from = "main" }, { octokit }) => async () =>
+        unwrap(await OctokitWrapper.ensureBranchExists(requireOctokit(octokit), owner, repo, branch, from)),
+    createOrUpdateFile: ({ owner, repo, path, content, message = `Update ${path}`, branch = "main" }, { octokit }) =>
+        async () => unwrap(
+            await OctokitWrapper.createOrUpdateFile(requireOctokit(octokit), owner, repo, path, content, message, branch)
+        ),
+    updateSecrets: ({ owner, repo, secrets }, { octokit }) => async () =>
+        unwrap(await OctokitWrapper.updateSecrets(requireOctokit(octokit), owner, repo, secrets)),
+    getFile: ({ owner, repo, path, branch = "main" }, { octokit }) => async () =>
+        (await OctokitWrapper.getFile(requireOctokit(octokit), owner, repo, path, { branch })).processedFile
+};
+
+/**
+ * Creates a registry with the built-in task types, to register custom types on.
+ * @returns {TaskRegistry}
+ */
+export const createTaskRegistry = () => new TaskRegistry(builtInTasks);
+
+/**
+ * Replaces `{{ inputs.name }}` and `{{ steps.label.property }}` templates in parameters with values from the context.
+ * A string that is a single template takes the value as is; otherwise values are interpolated as text.
+ * @param {any} value
+ * @param {{ inputs: Object, steps: Object }} context
+ * @returns {any}
+ */
+const resolveTemplates = (value, context) => {
+    const lookup = (path) => path.split(".").reduce((target, key) => target?.[key], context);
+
+    if (typeof value === "string") {
+        const whole = value.match(new RegExp(`^${TEMPLATE.source}$`));
+
+        return whole ? lookup(whole[1]) : value.replace(TEMPLATE, (_, path) => String(lookup(path) ?? ""));
+    }
+
+    if (Array.isArray(value))
+        return value.map((item) => resolveTemplates(item, context));
+
+    if (value !== null && typeof value === "object")
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, context)]));
+
+    return value;
+};
+
+/**
+ * Builds a `TaskChain` from a chain definition.
+ * @param {ChainDefinition} definition
+ * @param {BuildChainOptions} [options]
+ * @returns {TaskChain}
+ * @throws {Error} If the definition is invalid, refers to an unregistered type or its dependencies cannot be met.
+ */
+export const buildChain = (definition, { registry = createTaskRegistry(), octokit = null, store = null } = {}) => {
+    if (definition === null || typeof definition !== "object")
+        throw new Error("Chain definition must be an Object!");
+
+    const { concurrency = 1, tasks } = definition;
+
+    if (!Array.isArray(tasks) || tasks.length === 0)
+        throw new Error("Chain definition must have a non-empty tasks array!");
+
+    const chain = new TaskChain({ concurrency, store });
+
+    tasks.forEach((taskDefinition, idx) => {
+        if (taskDefinition === null || typeof taskDefinition !== "object")
+            throw new Error(`Task ${idx + 1} must be an Object!`);
+
+        const { label, type, params = {}, ...config } = taskDefinition;
+        const unknown = Object.keys(taskDefinition).filter((key) => !TASK_KEYS.includes(key));
+
+        if (unknown.length)
+            throw new Error(`Task ${label ?? idx + 1} has unknown keys: ${unknown.join(", ")}!`);
+
+        const factory = registry.get(type);
+        const defaults = factory === builtInTasks[type] ? { retries: 1 } : {};
+
+        chain.addTask(new Task(
+            label,
+            (context) => factory(resolveTemplates(params, context), { octokit })(context),
+            { ...defaults, ...config }
+        ));
+    });
+
+    chain.validate();
+
+    return chain;
+};
+
+/**
+ * Builds a `TaskChain` from a JSON or YAML document.
+ * @param {string} source
+ * @param {BuildChainOptions} [options]
+ * @returns {TaskChain}
+ */
+export const loadChain = (source, options) => {
+    if (typeof source !== "string")
+        throw new Error("source must be a string!");
+
+    return buildChain(parse(source), options);
+};
+
+/**
+ * Builds a `TaskChain` from a JSON or YAML file.
+ * @param {string} path
+ * @param {BuildChainOptions} [options]
+ * @returns {Promise<TaskChain>}
+ */
+export const loadChainFile = async (path, options) => loadChain(await readFile(path, "utf8"), options);
+
+/**
+ * @typedef {Object} TaskDefinition
+ * @property {string} label
+ * @property {string} type - A type registered on the registry.
+ * @property {Object} [params] - Passed to the type's factory, after templates are resolved.
+ * @property {Object[]} [inputs] - Input definitions, as for `Task`.
+ * @property {number} [retries] - Defaults to 1 for the built-in types and to the `Task` default for others.
+ * @property {number} [interval]
+ * @property {number} [maxRateLimitWait]
+ * @property {string[]} [dependsOn]
+ * @property {boolean} [continueOnError]
+ */
+
+/**
+ * @typedef {Object} ChainDefinition
+ * @property {number} [concurrency]
+ * @property {TaskDefinition[]} tasks
+ */
+
+/**
+ * @typedef {Object} BuildChainOptions
+ * @property {TaskRegistry} [registry] - Defaults to a registry with the built-in types.
+ * @property {import('../octokit-wrapper.js').FullOctokit | null} [octokit] - Used by the built-in types.
+ * @property {import('./classes/checkpointStore.js').CheckpointStore | null} [store]
+ */
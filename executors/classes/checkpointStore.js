@@ -0,0 +1,121 @@
+import {mkdir, readFile, rename, rm, writeFile} from 'node:fs/promises';
+import {join} from 'node:path';
+
+const validateRunID = (runID) => {
+    if (typeof runID !== "string" || !/^[\w.-]+$/.test(runID) || /^\.+$/.test(runID))
+        throw new Error("runID must only contain letters, digits, dots, dashes and underscores!");
+};
+
+/**
+ * Keeps checkpoints in memory, for chains that only need to resume within the same process. Checkpoints go through
+ * JSON like they would for `FileCheckpointStore`, so a chain behaves the same with either store.
+ */
+export class MemoryCheckpointStore {
+    #checkpoints = new Map();
+
+    /**
+     * @param {string} runID
+     * @returns {Promise<Checkpoint | null>}
+     */
+    async load(runID) {
+        validateRunID(runID);
+
+        const checkpoint = this.#checkpoints.get(runID);
+
+        return checkpoint === undefined ? null : JSON.parse(checkpoint);
+    }
+
+    /**
+     * @param {string} runID
+     * @param {Checkpoint} checkpoint
+     */
+    async save(runID, checkpoint) {
+        validateRunID(runID);
+
+        this.#checkpoints.set(runID, JSON.stringify(checkpoint));
+    }
+
+    /**
+     * @param {string} runID
+     */
+    async delete(runID) {
+        validateRunID(runID);
+
+        this.#checkpoints.delete(runID);
+    }
+}
+
+/**
+ * Keeps every checkpoint as `<runID>.json` in a directory, so chains can resume after the process restarts.
+ * Chains redact sensitive values from their checkpoints, but anything else in the inputs and serialized results is
+ * written as plain text: keep the directory private, and use `serialize` to leave out results that must not be kept.
+ */
+export class FileCheckpointStore {
+    #directory;
+
+    /**
+     * @param {string} directory - Created on the first save if it does not exist.
+     */
+    constructor(directory) {
+        if (typeof directory !== "string" || directory.length === 0)
+            throw new Error("directory must be a non-empty string!");
+
+        this.#directory = directory;
+    }
+
+    #getPath(runID) {
+        validateRunID(runID);
+
+        return join(this.#directory, `${runID}.json`);
+    }
+
+    /**
+     * @param {string} runID
+     * @returns {Promise<Checkpoint | null>}
+     */
+    async load(runID) {
+        try {
+            return JSON.parse(await readFile(this.#getPath(runID), "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT")
+                return null;
+
+            throw error;
+        }
+    }
+
+    /**
+     * Writes the checkpoint to a temporary file first, so a crash never leaves a half-written checkpoint behind.
+     * @param {string} runID
+     * @param {Checkpoint} checkpoint
+     */
+    async save(runID, checkpoint) {
+        const path = this.#getPath(runID);
+
+        await mkdir(this.#directory, { recursive: true });
+        await writeFile(`${path}.tmp`, JSON.stringify(checkpoint, null, 2));
+        await rename(`${path}.tmp`, path);
+    }
+
+    /**
+     * @param {string} runID
+     */
+    async delete(runID) {
+        await rm(this.#getPath(runID), { force: true });
+    }
+}
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {Object} inputs - The inputs the run started with, with sensitive values redacted.
+ * @property {Object} steps - The serialized results of the completed tasks, by label. Tasks whose results hold
+ *     sensitive values are left out.
+ * @property {string[]} completed - Labels of the completed tasks in `steps`, in the order they finished.
+ */
+
+/**
+ * @typedef {Object} CheckpointStore
+ * @property {(runID: string) => Promise<Checkpoint | null>} load - Resolves to `null` if there is no checkpoint.
+ * @property {(runID: string, checkpoint: Checkpoint) => Promise<void>} save
+ * @property {(runID: string) => Promise<void>} delete
+ */
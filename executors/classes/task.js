@@ -1,4 +1,11 @@
 import {string, object} from '@stgroves/js-utilities';
+import {runWithRetries} from '../../request-builder.js';
+import {MAX_RATE_LIMIT_WAIT} from '../../rate-limit.js';
+import {executeSafely} from '../executeSafely.js';
+import {log, withLogContext} from '../../logger.js';
+import {failSpan, withSpan} from '../../telemetry.js';
+
+const INPUT_TYPES = ["string", "number", "integer", "boolean", "object", "array"];
 
 export class Task extends EventTarget {
     #action;
@@ -38,19 +45,50 @@ export class Task extends EventTarget {
             inputs = [],
             retries = 3,
             interval = 2000,
-            stopRetries = (error) => [error.status === 404, error]
+            stopRetries = (error) => [error.status === 404, error],
+            maxRateLimitWait = MAX_RATE_LIMIT_WAIT,
+            dependsOn = null,
+            continueOnError = false,
+            undo = null,
+            serialize = null,
+            deserialize = null
         } = config;
 
         if (!Array.isArray(inputs)) throw new Error("inputs must be an array!");
 
         inputs.forEach((input) => {
-            const { name, isTemplate = true } = input;
+            const {
+                name,
+                isTemplate = true,
+                type = null,
+                required = false,
+                enum: allowed = null,
+                pattern = null,
+                description = null
+            } = input;
 
             if (string.isEmptyOrNull(name))
                 throw new Error("inputs must have a name!");
 
             if (typeof isTemplate !== 'boolean')
                 throw new Error('isTemplate must be a boolean!');
+
+            if (type !== null && !INPUT_TYPES.includes(type))
+                throw new Error(`type of input ${name} must be one of ${INPUT_TYPES.join(", ")}!`);
+
+            if (typeof required !== "boolean")
+                throw new Error(`required of input ${name} must be a boolean!`);
+
+            if (allowed !== null && (!Array.isArray(allowed) || allowed.length === 0))
+                throw new Error(`enum of input ${name} must be a non-empty array!`);
+
+            if (pattern !== null && typeof pattern !== "string" && !(pattern instanceof RegExp))
+                throw new Error(`pattern of input ${name} must be a string or a RegExp!`);
+
+            if (typeof pattern === "string") new RegExp(pattern);
+
+            if (description !== null && typeof description !== "string")
+                throw new Error(`description of input ${name} must be a string!`);
         });
 
         if (typeof retries !== "number") throw new Error("retries must be a number!");
@@ -64,23 +102,50 @@ export class Task extends EventTarget {
 
         if (typeof stopRetries !== "function")
             throw new Error("stopRetries must be a Function!");
+
+        if (typeof maxRateLimitWait !== "number")
+            throw new Error("maxRateLimitWait must be a number!");
+
+        if (dependsOn !== null && !Array.isArray(dependsOn))
+            throw new Error("dependsOn must be an array!");
+
+        dependsOn?.forEach((dependency) => {
+            if (string.isEmptyOrNull(dependency))
+                throw new Error("dependsOn must not contain empty labels!");
+        });
+
+        if (typeof continueOnError !== "boolean")
+            throw new Error("continueOnError must be a boolean!");
+
+        if (undo !== null && typeof undo !== "function")
+            throw new Error("undo must be a Function!");
+
+        if (serialize !== null && typeof serialize !== "function")
+            throw new Error("serialize must be a Function!");
+
+        if (deserialize !== null && typeof deserialize !== "function")
+            throw new Error("deserialize must be a Function!");
     }
 
+    /**
+     * Dispatches an event on the task, then re-emits it on its chain. Listeners on either can call
+     * `detail.breakChain(value)` to decide whether the chain breaks.
+     * @param {string} event
+     * @param {Object} context
+     * @param {boolean} [stopChain] - Whether the chain breaks unless a listener decides otherwise.
+     */
     #dispatchEvent(event, context, stopChain = true) {
-        const customEvent = new CustomEvent(event, { detail: { task: this, context: object.deepClone(context) } });
+        const detail = { task: this, context: object.deepClone(context) };
 
-        customEvent.detail.breakChain = (value) => {
-            if (value === stopChain)
-                return;
-
-            customEvent.stopPropagation();
+        detail.breakChain = (value) => {
             stopChain = value;
         };
 
-        dispatchEvent(customEvent);
+        this.dispatchEvent(new CustomEvent(event, { detail }));
+        this.#chain?.dispatchEvent(new CustomEvent(event, { detail }));
 
         if (stopChain)
-            this.#chain.breakChain();
+            this.#chain?.breakChain();
     }
 
     setChain(chain) {
@@ -91,10 +156,81 @@ export class Task extends EventTarget {
         return this.#label;
     }
 
+    /**
+     * Gets the labels of the tasks this task depends on, or `null` if it only depends on the task before it.
+     * @returns {string[] | null}
+     */
+    getDependencies() {
+        return this.#config.dependsOn ? [...this.#config.dependsOn] : null;
+    }
+
+    /**
+     * Whether the chain keeps going when this task fails.
+     * @returns {boolean}
+     */
+    continuesOnError() {
+        return this.#config.continueOnError ?? false;
+    }
+
+    /**
+     * Whether the task has an action that reverts what it did.
+     * @returns {boolean}
+     */
+    canUndo() {
+        return typeof this.#config.undo === "function";
+    }
+
+    /**
+     * Reverts what the task did by running its undo action once.
+     * @param {any} result - What the task's action returned.
+     * @param {{ inputs: Object, steps: Object }} context
+     * @returns {Promise<[boolean, any]>} Whether the undo action succeeded, and its result or error.
+     */
+    async undo(result, context) {
+        if (!this.canUndo())
+            return [true, undefined];
+
+        return executeSafely(this.#config.undo, result, context);
+    }
+
+    /**
+     * Turns the task's result into something JSON can hold, so it can be checkpointed.
+     * @param {any} result
+     * @returns {any}
+     */
+    serializeResult(result) {
+        return this.#config.serialize ? this.#config.serialize(result) : result;
+    }
+
+    /**
+     * Turns a checkpointed result back into what the task's action returned.
+     * @param {any} value
+     * @returns {any}
+     */
+    deserializeResult(value) {
+        return this.#config.deserialize ? this.#config.deserialize(value) : value;
+    }
+
+    /**
+     * Gets the declared inputs with every constraint filled in, `null` where none was declared.
+     * @returns {InputDefinition[]}
+     */
+    getInputDefinitions() {
+        return (this.#config.inputs ?? []).map((input) => ({
+            name: input.name,
+            type: input.type ?? null,
+            required: input.required ?? false,
+            enum: input.enum ? [...input.enum] : null,
+            pattern: input.pattern instanceof RegExp ? input.pattern.source : input.pattern ?? null,
+            description: input.description ?? null,
+            defaultValue: input.defaultValue
+        }));
+    }
+
     getInputs() {
         const NEW_OBJECT = {};
 
-        this.#config.inputs.forEach((input) => {
+        (this.#config.inputs ?? []).forEach((input) => {
             const { name, defaultValue = undefined, isTemplate = true } = input;
             NEW_OBJECT[name] = isTemplate ? object.deepClone(defaultValue) : defaultValue;
         });
@@ -102,50 +238,73 @@ export class Task extends EventTarget {
         return NEW_OBJECT;
     }
 
+    /**
+     * Runs the action with retries, in a span that the spans of its requests are children of. A failure breaks the
+     * chain unless the task continues on error.
+     * @param {{ inputs: Object, steps: Object }} context
+     * @returns {Promise<[boolean, any, { attempts: number, duration: number }]>} Whether the task succeeded, its
+     *     result or error, and how many attempts it took in how many milliseconds.
+     */
     async run(context) {
         const {
             retries = 3,
             interval = 2000,
-            stopRetries = (error) => [error.status === 404, error]
+            stopRetries = (error) => [error.status === 404, error],
+            maxRateLimitWait = MAX_RATE_LIMIT_WAIT,
+            continueOnError = false
         } = this.#config;
 
-        let attempt = 1;
+        const start = Date.now();
+        let attempts = 0;
 
-        while (attempt <= retries) {
-            try {
-                const result = await this.#action(context);
+        this.#dispatchEvent('taskStart', {}, false);
 
-                this.#dispatchEvent('taskSuccess', { result }, false);
+        const onRetry = (attempt, delay, error) => this.#dispatchEvent('taskRetry', { attempt, delay, error }, false);
+        const traced = async (span) => {
+            const result = await runWithRetries(
+                () => {
+                    attempts++;
+                    return this.#action(context);
+                },
+                { maxRetries: retries, interval, stopRetries, maxRateLimitWait, onRetry }
+            );
 
-                return [true, result];
-            } catch (e) {
-                console.error(`Attempt ${attempt} failed:`, {
-                    message: e.message,
-                    response: e.response?.data,
-                    stack: e.stack
-                });
+            span.setAttribute("octokit_wrapper.attempts", attempts);
 
-                const [shouldStop, error] = stopRetries(e);
+            if (!result.success)
+                failSpan(span, result.error);
 
-                if (shouldStop) {
-                    this.#dispatchEvent('taskError', { error });
-                    return [false, error];
-                }
-
-                if (attempt >= retries) {
-                    const error = new Error(`Request failed after ${retries} attempts`);
+            return result;
+        };
 
-                    this.#dispatchEvent('taskError', { error });
+        const result = await withLogContext({ operation: this.#label }, () =>
+            withSpan(`Task ${this.#label}`, { attributes: { "octokit_wrapper.task": this.#label } }, traced)
+        );
 
-                    return [false, error];
-                }
+        const stats = { attempts, duration: Date.now() - start };
+        const fields = { operation: this.#label, attempt: attempts, duration: stats.duration };
 
-                const delay = interval * 2 ** (attempt - 1);
+        if (!result.success) {
+            log.error(`Task ${this.#label} failed.`, { ...fields, error: result.error });
+            this.#dispatchEvent('taskError', { error: result.error }, !continueOnError);
 
-                console.log(`Retrying in ${delay / 1000} seconds...`);
-                await new Promise((res) => setTimeout(res, delay));
-                attempt++;
-            }
+            return [false, result.error, stats];
         }
+
+        log.info(`Task ${this.#label} succeeded.`, fields);
+        this.#dispatchEvent('taskSuccess', { result: result.data }, false);
+
+        return [true, result.data, stats];
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {Object} InputDefinition
+ * @property {string} name
+ * @property {'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | null} type
+ * @property {boolean} required - Whether the input must be supplied when the chain runs.
+ * @property {any[] | null} enum - The only values the input may have.
+ * @property {string | null} pattern - A regular expression string inputs must match.
+ * @property {string | null} description
+ * @property {any} [defaultValue]
+ */
\ No newline at end of file
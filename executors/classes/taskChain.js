@@ -1,12 +1,228 @@
+import {randomUUID} from 'node:crypto';
 import {Task} from './task.js';
 import {string} from '@stgroves/js-utilities';
+import {executeSafely} from '../executeSafely.js';
+import {dryRun as runDryRun} from '../../dry-run.js';
+import {REDACTED, redact} from '../../redact.js';
+import {ValidationError} from '../../errors.js';
+import {withLogContext} from '../../logger.js';
+import {failSpan, withSpan} from '../../telemetry.js';
 
-export class TaskChain {
+const CONSTRAINTS = ["type", "required", "enum", "pattern", "defaultValue"];
+
+/**
+ * Redacts checkpointed inputs. A string that holds a credential is redacted as a whole instead of in place, so that it
+ * has to be given again on resume rather than being used with `[REDACTED]` in the middle of it.
+ * @param {any} value
+ * @param {any} [redacted] - `value` as `redact` returns it.
+ * @returns {any}
+ */
+const redactInputs = (value, redacted = redact(value)) => {
+    if (typeof value === "string")
+        return redacted === value ? value : REDACTED;
+
+    if (Array.isArray(value))
+        return value.map((item, idx) => redactInputs(item, redacted[idx]));
+
+    if (value !== null && typeof value === "object")
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactInputs(item, redacted[key])]));
+
+    return redacted;
+};
+
+/**
+ * Puts the values that were redacted from checkpointed inputs back from the inputs the resumed run was given.
+ * @param {any} saved - The checkpointed inputs.
+ * @param {any} given - The inputs of the resumed run.
+ * @param {string[]} missing - Collects the paths of redacted values that were not given again.
+ * @param {string} [path]
+ * @returns {any}
+ */
+const restoreRedacted = (saved, given, missing, path = "inputs") => {
+    if (saved === REDACTED) {
+        if (given === undefined || given === null || given === REDACTED)
+            missing.push(path);
+
+        return given ?? saved;
+    }
+
+    if (Array.isArray(saved))
+        return saved.map((item, idx) => restoreRedacted(item, given?.[idx], missing, `${path}[${idx}]`));
+
+    if (saved !== null && typeof saved === "object")
+        return Object.fromEntries(Object.entries(saved).map(([key, item]) =>
+            [key, restoreRedacted(item, given?.[key], missing, `${path}.${key}`)]
+        ));
+
+    return saved;
+};
+
+/**
+ * Checks a supplied value against an input definition.
+ * @param {InputDefinition} definition
+ * @param {any} value
+ * @returns {string | null} What is wrong with the value, or `null` if nothing is.
+ */
+const checkInput = (definition, value) => {
+    const { name, type, required, enum: allowed, pattern } = definition;
+
+    if (value === undefined)
+        return required ? `${name} is required` : null;
+
+    const matchesType = {
+        string: () => typeof value === "string",
+        number: () => typeof value === "number" && !Number.isNaN(value),
+        integer: () => Number.isInteger(value),
+        boolean: () => typeof value === "boolean",
+        object: () => value !== null && typeof value === "object" && !Array.isArray(value),
+        array: () => Array.isArray(value)
+    };
+
+    if (type !== null && !matchesType[type]())
+        return `${name} must be of type ${type}`;
+
+    if (allowed !== null && !allowed.some((option) => JSON.stringify(option) === JSON.stringify(value)))
+        return `${name} must be one of ${allowed.map((option) => JSON.stringify(option)).join(", ")}`;
+
+    if (pattern !== null && typeof value === "string" && !new RegExp(pattern).test(value))
+        return `${name} must match ${pattern}`;
+
+    return null;
+};
+
+/**
+ * Runs tasks in order of their dependencies. Besides the `taskStart`, `taskRetry`, `taskSuccess` and `taskError`
+ * events of its tasks, a chain emits `chainStart`, `chainBreak` and `chainComplete`.
+ */
+export class TaskChain extends EventTarget {
     #chain;
     #stopChain;
+    #concurrency;
+    #store;
+
+    /**
+     * @param {{ concurrency?: number, store?: CheckpointStore | null }} [options] - How many tasks may run at the same
+     *     time, defaults to 1, and where runs with a run ID keep their checkpoints.
+     */
+    constructor({ concurrency = 1, store = null } = {}) {
+        super();
+
+        this.#validateConcurrency(concurrency);
+        this.#validateStore(store);
 
-    constructor() {
         this.#chain = [];
+        this.#concurrency = concurrency;
+        this.#store = store;
+    }
+
+    #validateConcurrency(concurrency) {
+        if (typeof concurrency !== "number") throw new Error("concurrency must be a number!");
+
+        if (concurrency < 1) throw new Error("concurrency must be at least 1!");
+    }
+
+    #validateStore(store) {
+        if (store === null) return;
+
+        if (typeof store !== "object")
+            throw new Error("store must be an Object!");
+
+        ["load", "save", "delete"].forEach((method) => {
+            if (typeof store[method] !== "function")
+                throw new Error(`store must have a ${method} Function!`);
+        });
+    }
+
+    /**
+     * Builds a checkpoint of the tasks that completed, with their results serialized. Sensitive values are never
+     * written to a store: they are redacted from the inputs like they are in logs, and a task whose result holds any,
+     * such as a secret task, is left out of the checkpoint so that a resumed run does it again.
+     * @param {Object} inputs
+     * @param {Object} steps
+     * @param {string[]} completed
+     * @returns {Checkpoint}
+     */
+    #createCheckpoint(inputs, steps, completed) {
+        const results = completed
+            .map((label) => [label, this.getTask(label).serializeResult(steps[label])])
+            .filter(([, result]) => JSON.stringify(redact(result)) === JSON.stringify(result));
+
+        return {
+            inputs: redactInputs(inputs),
+            steps: Object.fromEntries(results),
+            completed: results.map(([label]) => label)
+        };
+    }
+
+    /**
+     * Maps every task to the labels it depends on. Tasks without declared dependencies depend on the task before them.
+     * @returns {Map<string, string[]>}
+     * @throws {Error} If a dependency cannot be found or the dependencies form a cycle.
+     */
+    #buildGraph() {
+        const graph = this.#getDependencyGraph();
+
+        graph.forEach((dependencies, label) => {
+            dependencies.forEach((dependency) => {
+                if (!graph.has(dependency))
+                    throw new Error(`${label} depends on ${dependency}, which cannot be found!`);
+            });
+        });
+
+        this.#checkForCycles(graph);
+
+        return graph;
+    }
+
+    /**
+     * @returns {Map<string, string[]>} The labels every task depends on, including ones that are not added yet.
+     */
+    #getDependencyGraph() {
+        return new Map(this.#chain.map((task, idx) => [
+            task.getName(),
+            task.getDependencies() ?? (idx > 0 ? [this.#chain[idx - 1].getName()] : [])
+        ]));
+    }
+
+    /**
+     * Follows the dependencies that can be found; missing ones are reported by `#buildGraph` once the chain runs.
+     * @param {Map<string, string[]>} graph
+     * @throws {Error} If the dependencies form a cycle.
+     */
+    #checkForCycles(graph) {
+        const visited = new Map();
+
+        const visit = (label, path) => {
+            if (!graph.has(label) || visited.get(label) === 'done') return;
+
+            if (visited.get(label) === 'visiting')
+                throw new Error(`Tasks depend on each other: ${[...path, label].join(' -> ')}!`);
+
+            visited.set(label, 'visiting');
+            graph.get(label).forEach((dependency) => visit(dependency, [...path, label]));
+            visited.set(label, 'done');
+        };
+
+        graph.forEach((_, label) => visit(label, []));
+    }
+
+    /**
+     * Inserts a task, unless that makes the dependencies form a cycle.
+     * @param {Task} task
+     * @param {number} idx
+     * @throws {Error} If the task closes a cycle; the chain is left as it was.
+     */
+    #insertTask(task, idx) {
+        this.#chain.splice(idx, 0, task);
+
+        try {
+            this.#checkForCycles(this.#getDependencyGraph());
+        } catch (e) {
+            this.#chain.splice(idx, 1);
+            throw e;
+        }
+
+        task.setChain(this);
     }
 
     #findByLabel(label) {
@@ -39,23 +255,116 @@ export class TaskChain {
     }
 
     breakChain(value = true) {
+        if (value && !this.#stopChain)
+            this.dispatchEvent(new CustomEvent('chainBreak', { detail: { chain: this } }));
+
         this.#stopChain = value;
     }
 
+    /**
+     * Checks that every dependency exists and that the dependencies do not form a cycle.
+     * @throws {Error} If the chain cannot be run.
+     */
+    validate() {
+        this.#buildGraph();
+    }
+
+    /**
+     * Merges the input definitions of every task. Tasks may share an input only if they define it the same way.
+     * @returns {Map<string, InputDefinition>}
+     * @throws {Error} If two tasks define the same input differently.
+     */
+    #getInputDefinitions() {
+        const definitions = new Map();
+        const definedBy = new Map();
+
+        this.#chain.forEach((task) => {
+            task.getInputDefinitions().forEach((definition) => {
+                const { name } = definition;
+                const existing = definitions.get(name);
+
+                if (!existing) {
+                    definitions.set(name, definition);
+                    definedBy.set(name, task.getName());
+                    return;
+                }
+
+                const conflicts = CONSTRAINTS.filter((constraint) =>
+                    JSON.stringify(existing[constraint]) !== JSON.stringify(definition[constraint])
+                );
+
+                if (conflicts.length)
+                    throw new Error(`${definedBy.get(name)} and ${task.getName()} define input ${name} differently ` +
+                        `(${conflicts.join(", ")})!`);
+
+                existing.description ??= definition.description;
+            });
+        });
+
+        return definitions;
+    }
+
+    /**
+     * Checks the inputs against the definitions of every task.
+     * @param {Object} inputs
+     * @returns {string[]} Every violation found, or an empty array if the inputs are valid.
+     * @throws {Error} If two tasks define the same input differently.
+     */
+    validateInputs(inputs) {
+        if (inputs === null || typeof inputs !== "object")
+            return ["inputs must be an Object"];
+
+        return [...this.#getInputDefinitions().values()]
+            .map((definition) => checkInput(definition, inputs[definition.name]))
+            .filter((violation) => violation !== null);
+    }
+
+    /**
+     * Describes the inputs of the chain as a JSON Schema, e.g. to generate a form for them.
+     * @returns {Object}
+     * @throws {Error} If two tasks define the same input differently.
+     */
+    getInputSchema() {
+        const definitions = [...this.#getInputDefinitions().values()];
+        const toProperty = ({ type, enum: allowed, pattern, description, defaultValue }) => JSON.parse(JSON.stringify({
+            type: type ?? undefined,
+            enum: allowed ?? undefined,
+            pattern: pattern ?? undefined,
+            description: description ?? undefined,
+            default: defaultValue
+        }));
+
+        return {
+            $schema: "https://json-schema.org/draft/2020-12/schema",
+            type: "object",
+            properties: Object.fromEntries(definitions.map((definition) => [definition.name, toProperty(definition)])),
+            required: definitions.filter(({ required }) => required).map(({ name }) => name)
+        };
+    }
+
     getInputTemplate() {
+        this.#getInputDefinitions();
+
         return this.#chain.reduce(
             (template, task) => ({ ...template, ...task.getInputs() }),
             {}
         );
     }
 
+    /**
+     * @param {Task} task
+     * @throws {Error} If the task's dependencies close a cycle.
+     */
     addTask(task) {
         this.#validateTask(task);
 
-        this.#chain.push(task);
-        task.setChain(this);
+        this.#insertTask(task, this.#chain.length);
     }
 
+    /**
+     * @param {Task} task
+     * @throws {Error} If the task cannot be found, or removing it closes a cycle.
+     */
     removeTask(task) {
         this.#validateTask(task);
 
@@ -64,6 +373,15 @@ export class TaskChain {
         if (idx === -1) throw new Error(`${task.getName()} cannot be found!`);
 
         this.#chain.splice(idx, 1);
+
+        // The next task may now implicitly depend on one that depends on it.
+        try {
+            this.#checkForCycles(this.#getDependencyGraph());
+        } catch (e) {
+            this.#chain.splice(idx, 0, task);
+            throw e;
+        }
+
         task.setChain(null);
     }
 
@@ -71,29 +389,302 @@ export class TaskChain {
         this.#validateTask(task);
         this.#validateLabel(label);
 
-        this.#chain.splice(this.#findByLabel(label), 0, task);
-        task.setChain(this);
+        this.#insertTask(task, this.#findByLabel(label));
     }
 
     insertAfterTask(task, label) {
         this.#validateTask(task);
         this.#validateLabel(label);
 
-        this.#chain.splice(this.#findByLabel(label) + 1, 0, task);
-        task.setChain(this);
+        this.#insertTask(task, this.#findByLabel(label) + 1);
+    }
+
+    /**
+     * Works out why a task never started: it is skipped when a task it depends on failed or was skipped itself, and
+     * broken when the chain was broken before it could start.
+     * @param {string} label
+     * @param {Map<string, string[]>} graph
+     * @param {Map<string, TaskReport>} reports
+     * @returns {'skipped' | 'broken'}
+     */
+    #getUnstartedStatus(label, graph, reports) {
+        const blocked = graph.get(label).some((dependency) => {
+            const report = reports.get(dependency) ?? { status: this.#getUnstartedStatus(dependency, graph, reports) };
+
+            return report.status === 'skipped' ||
+                (report.status === 'failed' && !this.getTask(dependency).continuesOnError());
+        });
+
+        return blocked ? 'skipped' : 'broken';
+    }
+
+    /**
+     * Runs the undo actions of the tasks that succeeded, the last one to finish first, and records how each went.
+     * @param {string[]} completed - Labels of the tasks that succeeded, in the order they finished.
+     * @param {Map<string, TaskReport>} reports
+     * @param {{ inputs: Object, steps: Object }} context
+     * @returns {Promise<boolean>} Whether any undo action ran.
+     */
+    async #rollback(completed, reports, context) {
+        let rolledBack = false;
+
+        for (const label of [...completed].reverse()) {
+            const task = this.getTask(label);
+
+            if (!task.canUndo()) continue;
+
+            const [success, result] = await task.undo(context.steps[label], context);
+
+            reports.get(label).undo = success ? { status: 'succeeded' } : { status: 'failed', error: result };
+            rolledBack = true;
+        }
+
+        return rolledBack;
+    }
+
+    /**
+     * Runs the tasks, starting each one as soon as the tasks it depends on have finished, with at most `concurrency`
+     * tasks running at a time. Once the chain is broken no new tasks are started. When the chain fails, the undo
+     * actions of the tasks that succeeded are run in reverse order, unless `rollback` is turned off or it is a dry run.
+     *
+     * With a `runID`, the context is checkpointed to the chain's store after every task that succeeds. Running again
+     * with the same ID resumes from the checkpoint: its inputs are used, and tasks that completed are not run again.
+     * The checkpoint is deleted once the chain succeeds, and tasks that were undone are dropped from it. Sensitive
+     * values are redacted from checkpoints: a resumed run takes redacted inputs from the inputs it is given, so they
+     * must be passed again, and runs the tasks whose results held any again. A checkpoint that cannot be saved breaks
+     * and fails the chain, as the run could no longer be resumed from where it stopped.
+     *
+     * With `dryRun`, every task runs in dry-run mode: reads are sent, but writes are only recorded in the report.
+     *
+     * The run is traced as a `TaskChain.run` span, with the spans of its tasks, and their requests, as children.
+     * @param {Object} inputs
+     * @param {{ concurrency?: number, rollback?: boolean, runID?: string | null, dryRun?: boolean }} [options] -
+     *     Overrides the chain's concurrency for this run, whether to roll back on failure, which defaults to true, the
+     *     ID to checkpoint the run under and whether to only preview the writes.
+     * @returns {Promise<ChainReport>} What happened to every task. The chain succeeded if every task succeeded or
+     *     failed with `continueOnError`, and every checkpoint was saved.
+     * @throws {ValidationError} If the inputs do not match the tasks' input definitions, listing every violation.
+     */
+    async run(inputs, options = {}) {
+        const attributes = {
+            "octokit_wrapper.chain.tasks": this.#chain.length,
+            "octokit_wrapper.chain.dry_run": options.dryRun === true,
+            ...(typeof options.runID === "string" ? { "octokit_wrapper.chain.run_id": options.runID } : {})
+        };
+
+        return withSpan("TaskChain.run", { attributes }, async (span) => {
+            const report = await this.#run(inputs, options);
+
+            span.setAttributes({
+                "octokit_wrapper.chain.broken": report.broken,
+                "octokit_wrapper.chain.rolled_back": report.rolledBack
+            });
+
+            if (!report.success)
+                failSpan(span, "The chain failed.");
+
+            return report;
+        });
     }
 
-    async run(inputs) {
-        const context = { inputs, steps: {} };
+    /**
+     * Runs the chain in the span of `run`, so the spans of its tasks are children of it.
+     * @param {Object} inputs
+     * @param {{ concurrency?: number, rollback?: boolean, runID?: string | null, dryRun?: boolean }} options
+     * @returns {Promise<ChainReport>}
+     */
+    async #run(inputs, { concurrency = this.#concurrency, rollback = true, runID = null, dryRun = false }) {
+        this.#validateConcurrency(concurrency);
+
+        if (typeof rollback !== "boolean") throw new Error("rollback must be a boolean!");
+
+        if (typeof dryRun !== "boolean") throw new Error("dryRun must be a boolean!");
+
+        if (dryRun && runID !== null)
+            throw new Error("A dry run cannot be checkpointed!");
+
+        if (runID !== null && !this.#store)
+            throw new Error("runID needs the chain to have a store!");
+
+        const graph = this.#buildGraph();
+        const checkpoint = runID !== null ? await this.#store.load(runID) : null;
+        const missing = [];
+        const context = {
+            inputs: checkpoint ? restoreRedacted(checkpoint.inputs, inputs, missing) : inputs,
+            steps: {}
+        };
+        const violations = [
+            ...missing.map((path) => `${path} was redacted from the checkpoint and must be given again`),
+            ...this.validateInputs(context.inputs)
+        ];
+
+        if (violations.length)
+            throw new ValidationError(`Invalid inputs: ${violations.join("; ")}!`, { violations });
+
+        const pending = [...this.#chain];
+        const finished = new Set();
+        const running = new Map();
+        const reports = new Map();
+        let completed = [];
+        let saving = Promise.resolve();
+        let checkpointError = null;
+        const start = Date.now();
+        const correlationID = runID ?? randomUUID();
         this.#stopChain = false;
 
-        for (const task of this.#chain) {
-            const [_, result] = await task.run(context);
+        this.dispatchEvent(new CustomEvent('chainStart', { detail: { chain: this, inputs: context.inputs, runID } }));
+
+        const saveCheckpoint = () => {
+            if (runID === null) return saving;
+
+            saving = saving.then(async () => {
+                const [saved, error] = await executeSafely(() =>
+                    this.#store.save(runID, this.#createCheckpoint(context.inputs, context.steps, completed))
+                );
+
+                if (!saved && checkpointError === null) {
+                    checkpointError = error;
+                    this.breakChain();
+                }
+            });
+
+            return saving;
+        };
+
+        checkpoint?.completed.forEach((label) => {
+            const task = pending.find((x) => x.getName() === label);
+
+            if (!task) return;
+
+            const result = task.deserializeResult(checkpoint.steps[label]);
+
+            context.steps[label] = result;
+            reports.set(label, { label, status: 'succeeded', result, attempts: 0, duration: 0, resumed: true });
+            pending.splice(pending.indexOf(task), 1);
+            finished.add(label);
+            completed.push(label);
+        });
+
+        while (pending.length || running.size) {
+            const ready = this.#stopChain ? [] : pending.filter((task) =>
+                graph.get(task.getName()).every((dependency) => finished.has(dependency))
+            );
+
+            for (const task of ready.slice(0, concurrency - running.size)) {
+                const label = task.getName();
+
+                pending.splice(pending.indexOf(task), 1);
+
+                const runTask = withLogContext({ correlationID }, () => dryRun ?
+                    runDryRun(() => task.run(context)).then(({ result, plan }) => [...result, plan]) :
+                    task.run(context));
+
+                running.set(label, runTask.then(async ([success, result, { attempts, duration }, plan]) => {
+                    context.steps[label] = result;
+                    reports.set(label, {
+                        label,
+                        status: success ? 'succeeded' : 'failed',
+                        ...(success ? { result } : { error: result }),
+                        attempts,
+                        duration,
+                        ...(plan ? { plan } : {})
+                    });
+
+                    if (success) {
+                        completed.push(label);
+                        await saveCheckpoint();
+                    }
 
-            context.steps[task.getName()] = result;
+                    finished.add(label);
+                    running.delete(label);
+                }));
+            }
 
-            if (this.#stopChain)
-                return;
+            if (!running.size)
+                break;
+
+            await Promise.race(running.values());
+        }
+
+        const broken = this.#stopChain;
+        const tasks = this.#chain.map((task) => reports.get(task.getName()) ?? {
+            label: task.getName(),
+            status: this.#getUnstartedStatus(task.getName(), graph, reports),
+            attempts: 0,
+            duration: 0
+        });
+        const success = checkpointError === null && tasks.every(({ label, status }) =>
+            status === 'succeeded' || (status === 'failed' && this.getTask(label).continuesOnError())
+        );
+        const rolledBack = !success && rollback && !dryRun && await this.#rollback(completed, reports, context);
+
+        if (runID !== null && success) {
+            await saving;
+
+            const [deleted, error] = await executeSafely(() => this.#store.delete(runID));
+
+            if (!deleted)
+                checkpointError = error;
+        } else if (rolledBack) {
+            completed = completed.filter((label) => reports.get(label).undo?.status !== 'succeeded');
+            await saveCheckpoint();
         }
+
+        const report = {
+            success,
+            broken,
+            rolledBack,
+            duration: Date.now() - start,
+            tasks,
+            steps: context.steps,
+            ...(checkpointError ? { checkpointError } : {}),
+            ...(dryRun ? { plan: tasks.flatMap((task) => task.plan ?? []) } : {})
+        };
+
+        this.dispatchEvent(new CustomEvent('chainComplete', { detail: { chain: this, report } }));
+
+        return report;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {import('./task.js').InputDefinition} InputDefinition
+ */
+
+/**
+ * @typedef {import('../../dry-run.js').PlannedWrite} PlannedWrite
+ */
+
+/**
+ * @typedef {import('./checkpointStore.js').Checkpoint} Checkpoint
+ */
+
+/**
+ * @typedef {import('./checkpointStore.js').CheckpointStore} CheckpointStore
+ */
+
+/**
+ * @typedef {Object} TaskReport
+ * @property {string} label
+ * @property {'succeeded' | 'failed' | 'skipped' | 'broken'} status
+ * @property {any} [result] - Set when the task succeeded.
+ * @property {Error} [error] - Set when the task failed.
+ * @property {number} attempts
+ * @property {number} duration - In milliseconds.
+ * @property {{ status: 'succeeded' | 'failed', error?: Error }} [undo] - Set when the task was rolled back.
+ * @property {boolean} [resumed] - Set when the task completed in an earlier run and was restored from a checkpoint.
+ * @property {PlannedWrite[]} [plan] - The writes the task would have made, set in a dry run.
+ */
+
+/**
+ * @typedef {Object} ChainReport
+ * @property {boolean} success
+ * @property {boolean} broken - Whether the chain was broken before every task could run.
+ * @property {boolean} rolledBack - Whether undo actions were run because the chain failed.
+ * @property {number} duration - In milliseconds.
+ * @property {TaskReport[]} tasks - In chain order.
+ * @property {Object} steps - The results and errors of the tasks that ran, by label.
+ * @property {Error} [checkpointError] - Set when the checkpoint could not be saved, or not be deleted once the chain
+ *     succeeded.
+ * @property {PlannedWrite[]} [plan] - The writes of every task in chain order, set in a dry run.
+ */
\ No newline at end of file
@@ -0,0 +1,62 @@
+import {string} from '@stgroves/js-utilities';
+
+/**
+ * Maps task type names to the action factories chain definitions refer to.
+ */
+export class TaskRegistry {
+    #factories;
+
+    /**
+     * @param {Object<string, ActionFactory>} [factories] - Types to register right away.
+     */
+    constructor(factories = {}) {
+        this.#factories = new Map();
+
+        Object.entries(factories).forEach(([type, factory]) => this.register(type, factory));
+    }
+
+    /**
+     * Registers an action factory under a type name, replacing any factory registered under it before.
+     * @param {string} type
+     * @param {ActionFactory} factory
+     * @returns {TaskRegistry} The registry, so calls can be chained.
+     */
+    register(type, factory) {
+        if (string.isEmptyOrNull(type)) throw new Error("type cannot be empty!");
+
+        if (typeof factory !== "function")
+            throw new Error("factory must be a Function!");
+
+        this.#factories.set(type, factory);
+
+        return this;
+    }
+
+    has(type) {
+        return this.#factories.has(type);
+    }
+
+    /**
+     * @param {string} type
+     * @returns {ActionFactory}
+     */
+    get(type) {
+        if (!this.#factories.has(type))
+            throw new Error(`Task type ${type} is not registered!`);
+
+        return this.#factories.get(type);
+    }
+
+    getTypes() {
+        return [...this.#factories.keys()];
+    }
+}
+
+/**
+ * Creates the action of a task from the parameters in its definition. Templates in the parameters are already
+ * resolved against the context of the run.
+ * @callback ActionFactory
+ * @param {Object} params
+ * @param {{ octokit?: import('../../octokit-wrapper.js').FullOctokit }} services
+ * @returns {(context: { inputs: Object, steps: Object }) => any}
+ */
@@ -1,13 +1,11 @@
+import {log} from '../logger.js';
+
 export const executeSafely = async (callback, ...args) => {
     try {
         const result = await callback(...args);
         return [true, result];
     } catch (error) {
-        console.error(`Failed to execute function!`, {
-            message: error.message,
-            response: error.response?.data,
-            stack: error.stack
-        });
+        log.error("Failed to execute function.", { error });
 
         return [false, error];
     }
@@ -1 +1,6 @@
-export { executeSafely } from './executeSafely.js';
\ No newline at end of file
+export { executeSafely } from './executeSafely.js';
+export { Task } from './classes/task.js';
+export { TaskChain } from './classes/taskChain.js';
+export { TaskRegistry } from './classes/taskRegistry.js';
+export { MemoryCheckpointStore, FileCheckpointStore } from './classes/checkpointStore.js';
+export { buildChain, loadChain, loadChainFile, createTaskRegistry, builtInTasks } from './buildChain.js';
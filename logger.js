@@ -0,0 +1,187 @@
+// @ts-check
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+import { redact } from './redact.js';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const scope = new AsyncLocalStorage();
+
+/**
+ * Creates a logger that writes every record as one line of JSON, errors and warnings to stderr and the rest to stdout.
+ * @param {{ level?: LogLevel, write?: (line: string, record: LogRecord) => void }} [options] - The lowest level to
+ *     write, which defaults to `info`, and where to write lines to.
+ * @returns {Logger}
+ */
+const createJsonLogger = ({ level = 'info', write } = {}) => {
+    if (!LEVELS.includes(level))
+        throw new Error(`level must be one of ${LEVELS.join(', ')}!`);
+
+    if (write !== undefined && typeof write !== 'function')
+        throw new Error('write must be a function!');
+
+    const minimum = LEVELS.indexOf(level);
+
+    return {
+        log: (record) => {
+            if (LEVELS.indexOf(record.level) < minimum)
+                return;
+
+            const line = JSON.stringify(record);
+
+            if (write)
+                write(line, record);
+            else
+                (LEVELS.indexOf(record.level) >= LEVELS.indexOf('warn') ? process.stderr : process.stdout)
+                    .write(`${line}\n`);
+        }
+    };
+}
+
+let globalLogger = createJsonLogger();
+
+/**
+ * Sets the logger used when no logger is set for the current call. `null` restores the default JSON logger.
+ * @param {Logger | null} logger
+ */
+const setLogger = (logger) => {
+    if (logger !== null && typeof logger?.log !== 'function')
+        throw new Error('logger must have a log function!');
+
+    globalLogger = logger ?? createJsonLogger();
+}
+
+/**
+ * Gets the logger for the current call.
+ * @returns {Logger}
+ */
+const getLogger = () => scope.getStore()?.logger ?? globalLogger;
+
+/**
+ * Runs a callback with a logger, correlation ID or operation for everything it logs. Fields that are not given are
+ * taken from the surrounding context; a new correlation ID is created if there is none.
+ * @template T
+ * @param {LogContext} context
+ * @param {() => T} callback
+ * @returns {T}
+ */
+const withLogContext = ({ logger, correlationID, operation } = {}, callback) => {
+    if (logger !== undefined && logger !== null && typeof logger.log !== 'function')
+        throw new Error('logger must have a log function!');
+
+    const outer = scope.getStore();
+
+    return scope.run({
+        logger: logger ?? outer?.logger ?? null,
+        correlationID: correlationID ?? outer?.correlationID ?? randomUUID(),
+        operation: operation ?? outer?.operation ?? null
+    }, callback);
+}
+
+/**
+ * Turns an error into plain data for a log record, keeping what is known about the request that failed.
+ * @param {any} error
+ * @returns {Object}
+ */
+const serializeError = (error) => {
+    if (!(error instanceof Error))
+        return { message: String(error) };
+
+    // Only set on request errors.
+    const { status, requestID, response } =
+        /** @type {Error & { status?: number, requestID?: string, response?: { data?: any } }} */ (error);
+
+    return {
+        name: error.name,
+        message: error.message,
+        ...(status !== undefined ? { status } : {}),
+        ...(requestID ? { requestID } : {}),
+        ...(response?.data !== undefined ? { response: response.data } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Builds a record from the current context and the given fields, redacts it and hands it to the logger.
+ * A logger that throws does not fail the operation that logged.
+ * @param {LogLevel} level
+ * @param {string} message
+ * @param {LogFields} [fields]
+ */
+const write = (level, message, { error, ...fields } = {}) => {
+    const context = scope.getStore();
+
+    const record = redact({
+        time: new Date().toISOString(),
+        level,
+        message,
+        operation: context?.operation ?? null,
+        correlationID: context?.correlationID ?? null,
+        ...fields,
+        ...(error !== undefined ? { error: serializeError(error) } : {})
+    });
+
+    try {
+        getLogger().log(record);
+    } catch (e) {
+        // Logging must never break the caller.
+    }
+}
+
+/**
+ * Writes log records through the logger for the current call.
+ */
+const log = Object.freeze({
+    /** @param {string} message @param {LogFields} [fields] */
+    debug: (message, fields) => write('debug', message, fields),
+    /** @param {string} message @param {LogFields} [fields] */
+    info: (message, fields) => write('info', message, fields),
+    /** @param {string} message @param {LogFields} [fields] */
+    warn: (message, fields) => write('warn', message, fields),
+    /** @param {string} message @param {LogFields} [fields] */
+    error: (message, fields) => write('error', message, fields)
+});
+
+export { createJsonLogger, setLogger, getLogger, withLogContext, serializeError, log };
+
+/**
+ * @typedef {'debug' | 'info' | 'warn' | 'error'} LogLevel
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {(record: LogRecord) => void} log - Receives every record, already redacted.
+ */
+
+/**
+ * @typedef {Object} LogContext
+ * @property {Logger | null} [logger]
+ * @property {string} [correlationID] - Ties together the records of one run, e.g. a chain run ID.
+ * @property {string} [operation] - E.g. `commitFiles` or a task label.
+ */
+
+/**
+ * @typedef {Object} LogFields
+ * @property {string} [operation] - Overrides the operation of the context.
+ * @property {string} [route] - E.g. `PUT /repos/{owner}/{repo}/contents/{path}`.
+ * @property {number} [attempt] - Starting at 1.
+ * @property {number} [duration] - In milliseconds.
+ * @property {number} [status] - The HTTP status of a response.
+ * @property {any} [error]
+ */
+
+/**
+ * @typedef {Object} LogRecord
+ * @property {string} time - ISO 8601.
+ * @property {LogLevel} level
+ * @property {string} message
+ * @property {string | null} operation
+ * @property {string | null} correlationID
+ * @property {string} [route]
+ * @property {number} [attempt]
+ * @property {number} [duration]
+ * @property {number} [status]
+ * @property {Object} [error] - The error's name, message, status, request ID, response data and stack.
+ */
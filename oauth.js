@@ -0,0 +1,406 @@
+// @ts-check
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Octokit } from 'octokit';
+
+import { DEVICE_CODE_URL, DEVICE_GRANT_TYPE, HEADER, OAUTH_AUTHORIZE_URL, OAUTH_URL } from './constants.js';
+import { createRequest } from './request-builder.js';
+import { AuthError, toGitHubError } from './errors.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+/**
+ * Token exchanges go to github.com without authentication.
+ */
+const oauthOctokit = new Octokit();
+
+/**
+ * An error reported by GitHub's OAuth endpoints, or by the checks around them.
+ */
+export class OAuthError extends AuthError {
+    /**
+     * @param {string} code - The OAuth error code, e.g. `bad_verification_code`.
+     * @param {string} [description]
+     * @param {string} [uri] - GitHub's documentation for the error.
+     */
+    constructor(code, description, uri) {
+        super(description ?? code);
+
+        this.name = this.constructor.name;
+        this.code = code;
+        this.uri = uri;
+    }
+}
+
+export class BadVerificationCodeError extends OAuthError {}
+export class IncorrectClientCredentialsError extends OAuthError {}
+export class RedirectUriMismatchError extends OAuthError {}
+export class BadRefreshTokenError extends OAuthError {}
+export class UnverifiedUserEmailError extends OAuthError {}
+export class AccessDeniedError extends OAuthError {}
+export class ExpiredTokenError extends OAuthError {}
+export class IncorrectDeviceCodeError extends OAuthError {}
+export class DeviceFlowDisabledError extends OAuthError {}
+export class StateMismatchError extends OAuthError {}
+
+const ERROR_CLASSES = {
+    bad_verification_code: BadVerificationCodeError,
+    incorrect_client_credentials: IncorrectClientCredentialsError,
+    redirect_uri_mismatch: RedirectUriMismatchError,
+    bad_refresh_token: BadRefreshTokenError,
+    unverified_user_email: UnverifiedUserEmailError,
+    access_denied: AccessDeniedError,
+    expired_token: ExpiredTokenError,
+    token_expired: ExpiredTokenError,
+    incorrect_device_code: IncorrectDeviceCodeError,
+    device_flow_disabled: DeviceFlowDisabledError
+};
+
+/**
+ * Turns an OAuth error payload into the matching error class.
+ * @param {{ error: string, error_description?: string, error_uri?: string }} data
+ * @returns {OAuthError}
+ */
+const toOAuthError = ({ error, error_description, error_uri, interval }) => {
+    const ErrorClass = ERROR_CLASSES[error] ?? OAuthError;
+
+    // `slow_down` comes with the polling interval to use from now on.
+    return Object.assign(new ErrorClass(error, error_description, error_uri), interval ? { interval } : {});
+}
+
+/**
+ * Posts to one of GitHub's OAuth endpoints. GitHub reports failed exchanges with a 200 status and an `error` field,
+ * so those are thrown as OAuth errors here.
+ * @param {string} route
+ * @param {Object} body
+ * @returns {Promise<any>} The response payload.
+ * @throws {OAuthError} If GitHub reported an OAuth error.
+ */
+const postOAuth = async (route, body) => {
+    const response = await createRequest(route, { ...body, headers: HEADER }).runWith(oauthOctokit);
+
+    if (!response.success)
+        throw response.error;
+
+    if (response.data?.error)
+        throw toOAuthError(response.data);
+
+    return response.data;
+}
+
+/**
+ * Reads the tokens from a token exchange payload.
+ * @param {any} data
+ * @returns {OAuthTokens}
+ */
+const toTokens = (data) => {
+    const now = Date.now();
+
+    return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token,
+        expiresAt: data.expires_in ? now + data.expires_in * 1000 : null,
+        refreshTokenExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : null
+    };
+}
+
+/**
+ * Encodes bytes as unpadded base64url, as used by PKCE.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} expected
+ * @param {string} received
+ * @returns {boolean}
+ */
+const safeEqual = (expected, received) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(received ?? ''));
+
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Builds the URL users are sent to in order to authorize the app, with a random state and a PKCE challenge.
+ * Keep the returned `state` and `codeVerifier` server-side; both are needed to exchange the code.
+ * @callback CreateAuthorizeUrl
+ * @param {AuthorizeOptions} options
+ * @returns {{ url: string, state: string, codeVerifier: string | null }}
+ */
+const createAuthorizeUrl = ({ clientID, redirectUri, scopes = [], login, allowSignup, pkce = true }) => {
+    if (typeof clientID !== 'string' || clientID.length === 0)
+        throw new Error('clientID must be a non-empty string!');
+
+    const state = toBase64Url(randomBytes(32));
+    const codeVerifier = pkce ? toBase64Url(randomBytes(32)) : null;
+    const url = new URL(OAUTH_AUTHORIZE_URL);
+
+    url.searchParams.set('client_id', clientID);
+    url.searchParams.set('state', state);
+
+    if (redirectUri)
+        url.searchParams.set('redirect_uri', redirectUri);
+
+    if (scopes.length)
+        url.searchParams.set('scope', scopes.join(' '));
+
+    if (login)
+        url.searchParams.set('login', login);
+
+    if (allowSignup !== undefined)
+        url.searchParams.set('allow_signup', String(allowSignup));
+
+    if (codeVerifier) {
+        url.searchParams.set('code_challenge', toBase64Url(createHash('sha256').update(codeVerifier).digest()));
+        url.searchParams.set('code_challenge_method', 'S256');
+    }
+
+    return { url: url.toString(), state, codeVerifier };
+}
+
+/**
+ * Exchanges the code from the OAuth callback for tokens. When the callback has a `state`, it must match `expectedState`
+ * before the code is used; a callback with a state but no `expectedState` to check it against is refused.
+ * @callback ExchangeCode
+ * @param {ExchangeCodeOptions} options
+ * @returns {Promise<Result<OAuthTokens>>}
+ */
+const exchangeCode = async ({ clientID, clientSecret, code, redirectUri, codeVerifier, state, expectedState }) => {
+    try {
+        if (state !== undefined && expectedState === undefined)
+            throw new StateMismatchError('state_mismatch', 'OAuth state cannot be checked without the expected state.');
+
+        if (expectedState !== undefined && !safeEqual(expectedState, state))
+            throw new StateMismatchError('state_mismatch', 'OAuth state does not match.');
+
+        log.info('Creating initial OAuth token.', { operation: 'exchangeCode' });
+
+        const data = await postOAuth(OAUTH_URL, {
+            client_id: clientID,
+            client_secret: clientSecret,
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier ?? undefined
+        });
+
+        return { success: true, data: toTokens(data) };
+    } catch (e) {
+        log.error('Failed to create token.', { operation: 'exchangeCode', error: e });
+
+        return {
+            success: false,
+            error: toGitHubError(e, e instanceof OAuthError ? {} : { message: 'Failed to create token.' })
+        };
+    }
+}
+
+/**
+ * Generates a new access token using the refresh token.
+ * @callback RefreshAccessToken
+ * @param {{ clientID: string, clientSecret: string, refreshToken: string }} options
+ * @returns {Promise<Result<OAuthTokens>>}
+ */
+const refreshAccessToken = async ({ clientID, clientSecret, refreshToken }) => {
+    try {
+        log.info('Refreshing OAuth token.', { operation: 'refreshAccessToken' });
+
+        const data = await postOAuth(OAUTH_URL, {
+            client_id: clientID,
+            client_secret: clientSecret,
+            refresh_token: refreshToken,
+            grant_type: 'refresh_token'
+        });
+
+        return { success: true, data: toTokens(data) };
+    } catch (e) {
+        log.error('Failed to refresh token.', { operation: 'refreshAccessToken', error: e });
+
+        return {
+            success: false,
+            error: toGitHubError(e, e instanceof OAuthError ? {} : { message: 'Failed to refresh token.' })
+        };
+    }
+}
+
+/**
+ * Generates an access token using the OAuth code.
+ * @callback GetAccessTokenFromCode
+ * @param {FullOctokit | null} octokit - Unused; token exchanges do not need an authenticated Octokit.
+ * @param {string} clientID - OAuth App client ID.
+ * @param {string} clientSecret - OAuth App client secret.
+ * @param {string} code - The temporary code received during the OAuth callback.
+ * @returns {Promise<Result<OAuthTokens>>}
+ */
+const getAccessTokenFromCode = async (octokit, clientID, clientSecret, code) =>
+    exchangeCode({ clientID, clientSecret, code });
+
+/**
+ * Generates an access token using the refresh token.
+ * @callback GetAccessTokenFromRefreshToken
+ * @param {FullOctokit | null} octokit - Unused; token exchanges do not need an authenticated Octokit.
+ * @param {string} clientID - OAuth App client ID.
+ * @param {string} clientSecret - OAuth App client secret.
+ * @param {string} refreshToken - The refresh token associated with the access token.
+ * @returns {Promise<Result<OAuthTokens>>}
+ */
+const getAccessTokenFromRefreshToken = async (octokit, clientID, clientSecret, refreshToken) =>
+    refreshAccessToken({ clientID, clientSecret, refreshToken });
+
+/**
+ * Starts the device flow, returning the code the user has to enter at the verification URL.
+ * @callback RequestDeviceCode
+ * @param {{ clientID: string, scopes?: string[] }} options
+ * @returns {Promise<Result<DeviceCode>>}
+ */
+const requestDeviceCode = async ({ clientID, scopes = [] }) => {
+    try {
+        const data = await postOAuth(DEVICE_CODE_URL, { client_id: clientID, scope: scopes.join(' ') });
+
+        return {
+            success: true,
+            data: {
+                deviceCode: data.device_code,
+                userCode: data.user_code,
+                verificationUri: data.verification_uri,
+                expiresAt: Date.now() + data.expires_in * 1000,
+                interval: data.interval
+            }
+        };
+    } catch (e) {
+        log.error('Failed to request device code.', { operation: 'requestDeviceCode', error: e });
+
+        return {
+            success: false,
+            error: toGitHubError(e, e instanceof OAuthError ? {} : { message: 'Failed to request device code.' })
+        };
+    }
+}
+
+/**
+ * Polls for the tokens of a device flow until the user has authorized the app. `authorization_pending` keeps polling
+ * at the current interval and `slow_down` switches to the longer interval GitHub asks for. Aborting `signal` stops
+ * polling at once; the result then fails with the signal's reason.
+ * @callback PollDeviceToken
+ * @param {{ clientID: string, deviceCode: DeviceCode, signal?: AbortSignal }} options
+ * @returns {Promise<Result<OAuthTokens>>}
+ */
+const pollDeviceToken = async ({ clientID, deviceCode, signal }) => {
+    let interval = deviceCode.interval * 1000;
+
+    try {
+        while (true) {
+            await sleep(interval, undefined, { signal });
+
+            if (Date.now() >= deviceCode.expiresAt)
+                throw new ExpiredTokenError('expired_token', 'The device code has expired.');
+
+            try {
+                const data = await postOAuth(OAUTH_URL, {
+                    client_id: clientID,
+                    device_code: deviceCode.deviceCode,
+                    grant_type: DEVICE_GRANT_TYPE
+                });
+
+                return { success: true, data: toTokens(data) };
+            } catch (e) {
+                if (e.code === 'slow_down')
+                    interval = e.interval ? e.interval * 1000 : interval + 5000;
+                else if (e.code !== 'authorization_pending')
+                    throw e;
+            }
+        }
+    } catch (e) {
+        if (signal?.aborted) {
+            log.info('Device flow was cancelled.', { operation: 'pollDeviceToken' });
+
+            return { success: false, error: signal.reason };
+        }
+
+        log.error('Failed to create token.', { operation: 'pollDeviceToken', error: e });
+
+        return {
+            success: false,
+            error: e instanceof OAuthError ? e : toGitHubError(e, { message: 'Failed to create token.' })
+        };
+    }
+}
+
+/**
+ * Runs the whole device flow: requests a code, hands it to `onVerification` to show to the user, and polls until the
+ * user has authorized the app.
+ * @callback AuthorizeDevice
+ * @param {{ clientID: string, scopes?: string[], onVerification: (code: DeviceCode) => void, signal?: AbortSignal }} options
+ * @returns {Promise<Result<OAuthTokens>>}
+ */
+const authorizeDevice = async ({ clientID, scopes, onVerification, signal }) => {
+    const deviceCode = await requestDeviceCode({ clientID, scopes });
+
+    if (!deviceCode.success)
+        return deviceCode;
+
+    await onVerification(deviceCode.data);
+
+    return pollDeviceToken({ clientID, deviceCode: deviceCode.data, signal });
+}
+
+export {
+    createAuthorizeUrl,
+    exchangeCode,
+    refreshAccessToken,
+    getAccessTokenFromCode,
+    getAccessTokenFromRefreshToken,
+    requestDeviceCode,
+    pollDeviceToken,
+    authorizeDevice
+};
+
+/**
+ * @typedef {Object} OAuthTokens
+ * @property {string} accessToken
+ * @property {string} [refreshToken] - Only set when the app uses expiring user tokens.
+ * @property {number | null} expiresAt - When the access token expires, in milliseconds since the epoch.
+ * @property {number | null} refreshTokenExpiresAt - When the refresh token expires, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {Object} AuthorizeOptions
+ * @property {string} clientID - OAuth App client ID.
+ * @property {string} [redirectUri] - Must match one of the app's callback URLs.
+ * @property {string[]} [scopes]
+ * @property {string} [login] - Suggests an account to sign in with.
+ * @property {boolean} [allowSignup]
+ * @property {boolean} [pkce] - Whether to add a PKCE challenge, defaults to `true`.
+ */
+
+/**
+ * @typedef {Object} ExchangeCodeOptions
+ * @property {string} clientID - OAuth App client ID.
+ * @property {string} clientSecret - OAuth App client secret.
+ * @property {string} code - The temporary code received during the OAuth callback.
+ * @property {string} [redirectUri] - The redirect URI used to build the authorize URL, if any.
+ * @property {string | null} [codeVerifier] - The PKCE verifier returned by `createAuthorizeUrl`.
+ * @property {string} [state] - The state received in the OAuth callback.
+ * @property {string} [expectedState] - The state returned by `createAuthorizeUrl`. Required when `state` is given.
+ */
+
+/**
+ * @typedef {Object} DeviceCode
+ * @property {string} deviceCode - Used to poll for the tokens; keep it private.
+ * @property {string} userCode - The code the user enters.
+ * @property {string} verificationUri - Where the user enters the code.
+ * @property {number} expiresAt - When the codes expire, in milliseconds since the epoch.
+ * @property {number} interval - The minimum polling interval in seconds.
+ */
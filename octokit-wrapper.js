@@ -1,14 +1,52 @@
 // @ts-check
 
-import { Octokit, App } from 'octokit';
-
-import sodium from 'libsodium-wrappers';
-import { createSodiumProvider } from './sodium-provider.js';
+import { Octokit } from 'octokit';
+
+import { createGraphQLRequest, createRequest, runWithRetries } from './request-builder.js';
+import { createRateLimitBudget, getRateLimitBudget, setRateLimitBudget, withRateLimitBudget } from './rate-limit.js';
+import { dryRun, getDryRunPlan, setDryRun } from './dry-run.js';
+import { AuthError, ConflictError, toGitHubError } from './errors.js';
+import { createJsonLogger, getLogger, log, setLogger, withLogContext } from './logger.js';
+import { setTelemetry } from './telemetry.js';
+import { createLruStore, createResponseCache, getResponseCache, setResponseCache } from './response-cache.js';
+import { runBatch, selectRepositories } from './batch.js';
+import {
+    findPullRequest,
+    ensurePullRequest,
+    setPullRequestLabels,
+    setPullRequestAssignees,
+    requestPullRequestReviewers,
+    enablePullRequestAutoMerge,
+    closePullRequest
+} from './pull-requests.js';
+import {
+    getSodium,
+    getSecretsPublicKey,
+    listSecrets,
+    setSecrets,
+    deleteSecret,
+    syncSecrets
+} from './secrets.js';
+import { createReconciler } from './reconciler.js';
+import {
+    createAuthorizeUrl,
+    exchangeCode,
+    refreshAccessToken,
+    getAccessTokenFromCode,
+    getAccessTokenFromRefreshToken,
+    requestDeviceCode,
+    pollDeviceToken,
+    authorizeDevice
+} from './oauth.js';
+import { createUserTokenProvider } from './user-token-provider.js';
+import { createAppProvider } from './app-provider.js';
+import { createWebhookReceiver, verifySignature } from './webhooks.js';
 
 
 
 /**
  * Creates a provider to access Octokit as GitHub App.
+ * The installation token is re-minted before it expires; use `createAppProvider` to serve several installations.
  * @callback CreateAppOctokitProvider
  * @param {string} appID
  * @param {string} pem
@@ -16,24 +54,18 @@ import { createSodiumProvider } from './sodium-provider.js';
  * @returns {() => Promise<Result<FullOctokit>>}
  */
 const createAppOctokitProvider = (appID, pem, installationID) => {
-    let cachedOctokit = null;
+    let appProvider = null;
 
     return async () => {
-        if (cachedOctokit)
-            return { success: true, data: cachedOctokit };
-
         try {
-            const app = new App({ appId: appID, privateKey: pem });
-            cachedOctokit = await app.getInstallationOctokit(installationID);
-            return { success: true, data: cachedOctokit };
+            if (!appProvider)
+                appProvider = createAppProvider(appID, pem);
+
+            return appProvider.forInstallation(installationID);
         } catch (e) {
-            console.error(`Failed to create Octokit:`, {
-                message: e.message,
-                response: e.response?.data,
-                stack: e.stack
-            });
+            log.error('Failed to create Octokit.', { operation: 'createAppOctokitProvider', error: e });
 
-            return { success: false, error: new Error('Failed to create Octokit.') };
+            return { success: false, error: new AuthError('Failed to create Octokit.', { cause: e }) };
         }
     };
 };
@@ -55,94 +87,13 @@ const createUserOctokitProvider = (accessToken) => {
             cachedOctokit = await new Octokit({auth: accessToken});
             return { success: true, data: cachedOctokit };
         } catch (e) {
-            console.error(`Failed to create Octokit:`, {
-                message: e.message,
-                response: e.response?.data,
-                stack: e.stack
-            });
+            log.error('Failed to create Octokit.', { operation: 'createUserOctokitProvider', error: e });
 
-            return { success: false, error: new Error('Failed to create Octokit.') };
+            return { success: false, error: new AuthError('Failed to create Octokit.', { cause: e }) };
         }
     }
 }
 
-/**
- * Generates an access token using the OAuth code.
- * @callback GetAccessTokenFromCode
- * @param {FullOctokit} octokit - An Octokit instance to perform the request.
- * @param {string} clientID - OAuth App client ID.
- * @param {string} clientSecret - OAuth App client secret.
- * @param {string} code - The temporary code received during the OAuth callback.
- * @returns {Promise<Result<{ accessToken: string, refreshToken: string }>>}
- */
-const getAccessTokenFromCode = async (octokit, clientID, clientSecret, code) => {
-    try {
-        console.log('Creating initial OAuth token.');
-
-        const response = await createRequest(
-            OAUTH_URL,
-            {
-                client_id: clientID,
-                client_secret: clientSecret,
-                code,
-                headers: HEADER
-            }
-        ).runWith(octokit);
-
-        return {
-            success: true,
-            data: { accessToken: response.data.access_token, refreshToken: response.data.refresh_token }
-        };
-    } catch (e) {
-        console.error(`Failed to create token:`, {
-            message: e.message,
-            response: e.response?.data,
-            stack: e.stack
-        });
-
-        return { success: false, error: new Error('Failed to create token.') };
-    }
-}
-
-/**
- * Generates an access token using the refresh token.
- * @callback GetAccessTokenFromRefreshToken
- * @param {FullOctokit} octokit - An Octokit instance to perform the request.
- * @param {string} clientID - OAuth App client ID.
- * @param {string} clientSecret - OAuth App client secret.
- * @param {string} refreshToken - The refresh token associated with the access token.
- * @returns {Promise<Result<{ accessToken: string, refreshToken: string }>>}
- */
-const getAccessTokenFromRefreshToken = async (octokit, clientID, clientSecret, refreshToken) => {
-    try {
-        console.log('Refreshing OAuth token.');
-
-        const response = await createRequest(
-            OAUTH_URL,
-            {
-                client_id: clientID,
-                client_secret: clientSecret,
-                refresh_token: refreshToken,
-                grant_type: 'refresh_token',
-                headers: HEADER
-            }
-        ).runWith(octokit);
-
-        return {
-            success: true,
-            data: { accessToken: response.data.access_token, refreshToken: response.data.refresh_token }
-        };
-    } catch (e) {
-        console.error(`Failed to refresh token:`, {
-            message: e.message,
-            response: e.response?.data,
-            stack: e.stack
-        });
-
-        return { success: false, error: new Error('Failed to refresh token.') };
-    }
-}
-
 /**
  * Gets the repo's numerical ID.
  * @callback GetRepoID
@@ -152,190 +103,21 @@ const getAccessTokenFromRefreshToken = async (octokit, clientID, clientSecret, r
  * @returns {Promise<Result<number>>}
  */
 const getRepoID = async (octokit, owner, repo) => {
-    try {
-        const response = await octokit.rest.repos.get({owner, repo});
+    const response = await createRequest(octokit.rest.repos.get, {owner, repo}).withProperty('id').runWith(octokit);
 
-        return { success: true, data: response.data.id };
-    } catch (e) {
-        console.error(`Failed to get Repo ID:`, {
-            message: e.message,
-            response: e.response?.data,
-            stack: e.stack
-        });
+    if (response.success)
+        return response;
 
-        return { success: false, error: new Error('Failed to get Repo ID.') };
-    }
-}
-
-/**
- * @typedef {() => Promise<typeof import('libsodium-wrappers')>} GetSodium
- */
-
-/**
- * Gets a ready-to-use sodium instance.
- * @type {GetSodium}
- */
-const getSodium = createSodiumProvider(sodium);
-
-/**
- * Creates a request data object.
- * @param {string | Function} restQuery
- * @param {Object} queryObject
- * @returns {RequestBuilder<import('@octokit/core').Octokit>}
- */
-const createRequest = (restQuery, queryObject) => {
-    const MAX_RETRIES = 3; // Set retry count
-    const INTERVAL = 2000; // 2 seconds
-
-    const retryConfig = {
-        maxRetries: MAX_RETRIES,
-        interval: INTERVAL,
-        stopRetries: (error) => [error.status === 404, error]
-    }
+    log.error('Failed to get Repo ID.', {
+        operation: 'getRepoID',
+        route: 'GET /repos/{owner}/{repo}',
+        error: response.error
+    });
 
-    const initialState = {
-        restQuery,
-        queryObject,
-        propertyName: null
+    return {
+        success: false,
+        error: toGitHubError(response.error, { message: 'Failed to get Repo ID.', route: 'GET /repos/{owner}/{repo}' })
     };
-
-    const buildRequest = (state, retryConfig) => {
-        return {
-            withRetries: maxRetries => {
-                if (typeof maxRetries !== 'number')
-                    throw new Error('maxRetries must be a number!');
-
-                return buildRequest(state, { ...retryConfig, maxRetries });
-            },
-            withInterval: interval => {
-                if (typeof interval !== 'number')
-                    throw new Error('interval must be a number!');
-
-                return buildRequest(state, { ...retryConfig, interval })
-            },
-            /**
-             * @param {RetryBreaker} callback
-             * @returns {RequestBuilder<import('@octokit/core').Octokit>}
-             */
-            withRetryBreaker: callback => {
-                if (typeof callback !== 'function')
-                    throw new Error('callback must be a function!');
-
-                return buildRequest(state, { ...retryConfig, stopRetries: callback })
-            },
-            /**
-             * @param {{maxRetries: number, interval: number, stopRetries: RetryBreaker}} config
-             * @return {RequestBuilder<import('@octokit/core').Octokit>}
-             */
-            withRetryConfig: config => {
-
-
-                return buildRequest(state, config)
-            },
-            withProperty: propertyName => buildRequest({ ...state, propertyName }, retryConfig),
-            runWith: octokit => attemptRequest(octokit, state, retryConfig)
-        };
-    }
-
-    return buildRequest(initialState, retryConfig);
-}
-
-/**
- * Executes a callback with retry logic and exponential backoff.
- * @callback RunWithRetries
- * @template T
- * @param {() => Promise<T>} callback - The async operation to retry on failure.
- * @param {{ maxRetries: number, interval: number }} retryConfig - Retry behaviour configuration.
- * @returns {Promise<Result<T>>} - Result object containing either the successful data or an error.
- */
-const runWithRetries = async (callback, retryConfig) => {
-    const { maxRetries, interval, stopRetries } = retryConfig;
-
-    let attempt = 1;
-
-    while (attempt <= maxRetries) {
-        try {
-            return { success: true, data: await callback() };
-        } catch (e) {
-            console.error(`Attempt ${attempt} failed:`, {
-                message: e.message,
-                response: e.response?.data,
-                stack: e.stack
-            });
-
-            const [shouldStop, error] = stopRetries(e);
-
-            if (shouldStop)
-                return { success: false, error };
-
-            if (attempt >= maxRetries)
-                return { success: false, error: new Error(`Request failed after ${maxRetries} attempts`) };
-
-            const delay = interval * 2 ** (attempt - 1);
-
-            console.log(`Retrying in ${delay / 1000} seconds...`);
-            await new Promise((res) => setTimeout(res, delay));
-            attempt++;
-        }
-    }
-}
-
-/**
- * Attempts a typed Octokit request using a retry wrapper.
- * @callback AttemptRequest
- * @param {FullOctokit} octokit - An authenticated Octokit instance.
- * @param {{ restQuery: string, queryObject: object, propertyName?: string|null }} requestData - The request config.
- * @param {{ maxRetries: number, interval: number }} retryConfig - Retry behaviour configuration.
- * @returns {Promise<Result<any>>} - Result object wrapping the request response or error.
- */
-const attemptRequest = async (octokit, requestData, retryConfig) => {
-    return runWithRetries(() => request(octokit, requestData), retryConfig);
-}
-
-/**
- * Executes a GitHub REST request via Octokit with optional property extraction.
- *
- * @param {FullOctokit} octokit - An authenticated Octokit instance.
- * @param {{ restQuery: string | function, queryObject: object, propertyName?: string|null }} requestData - The request
- *     configuration.
- * @returns {Promise<any>} The response data or a specific property from the response.
- * @throws {Error} If a propertyName is specified but not found in the response.
- */
-const request = async (octokit, requestData) => {
-    const response = typeof requestData.restQuery === 'function' ?
-        await requestData.restQuery.call(octokit.rest, requestData.queryObject) :
-        await octokit.request(requestData.restQuery, requestData.queryObject);
-
-    const data = requestData.propertyName ? response.data?.[requestData.propertyName] : response.data;
-
-    if (requestData.propertyName && data === undefined)
-        throw new Error(`Property "${requestData.propertyName}" not found in response.`);
-
-    return data;
-}
-
-/**
- * Encrypts a token using a given public key via libsodium sealed boxes.
- *
- * @param {string} publicKey - The base64-encoded public key from GitHub Actions.
- * @param {string} token - The plaintext token to encrypt.
- * @returns {Promise<string>} The encrypted value, base64-encoded.
- */
-const encrypt = async (publicKey, token) => {
-    const sodium = await getSodium();
-
-    const binaryKey = sodium.from_base64(
-        publicKey,
-        sodium.base64_variants.ORIGINAL
-    );
-    const binaryToken = sodium.from_string(token);
-
-    const encrypted = sodium.crypto_box_seal(binaryToken, binaryKey);
-
-    return sodium.to_base64(
-        encrypted,
-        sodium.base64_variants.ORIGINAL
-    );
 }
 
 /**
@@ -344,24 +126,10 @@ const encrypt = async (publicKey, token) => {
  * @param {String} owner
  * @param {String} repo
  * @param {OctokitWrapper~SecretData[]} secrets
- * @returns {Promise<void>}
+ * @returns {Promise<Result<{ created: string[], updated: string[] }>>}
  */
 async function updateSecrets (octokit, owner, repo, secrets) {
-    const {data: {key, key_id}} = await octokit.rest.actions.getRepoPublicKey({owner, repo});
-
-    console.log(`Attempting to store secrets for ${repo}.`);
-
-    for (const secret of secrets) {
-        await createRequest(octokit.rest.actions.createOrUpdateRepoSecret,
-            {
-                owner,
-                repo,
-                secret_name: secret.key,
-                encrypted_value: await encrypt(key, secret.value),
-                key_id
-            }
-        ).runWith(octokit);
-    }
+    return setSecrets(octokit, { type: 'repo', owner, repo }, secrets);
 }
 
 async function getRepoByID(octokit, repoID) {
@@ -382,10 +150,13 @@ const getFile = async (octokit, owner, repo, path, {branch = 'main', getRaw = fa
         }
     ).runWith(octokit);
 
-    const processedFile = Buffer.from(response?.content, "base64");
+    if (!response.success)
+        throw response.error;
+
+    const processedFile = Buffer.from(response.data.content, "base64");
 
     return {
-        data: response,
+        data: response.data,
         processedFile: getRaw ? processedFile : processedFile.toString("utf-8")
     };
 }
@@ -413,7 +184,7 @@ const createOrUpdateFile = async (octokit, owner, repo, path, content, commit, b
 
     // Create or update the file
     return createRequest(
-        octokit.repos.createOrUpdateFileContents,
+        octokit.rest.repos.createOrUpdateFileContents,
         foundSha ? {...filePackage, sha: foundSha} : filePackage
     ).runWith(octokit);
 }
@@ -433,35 +204,277 @@ const getTag = async (octokit, owner, repo, tagName) => {
     return getRef(octokit, owner, repo, `tags/${tagName}`);
 }
 
+/**
+ * Creates a branch from the head of a base branch, unless it already exists.
+ * @callback EnsureBranchExists
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} branchName
+ * @param {string} [baseBranch]
+ * @returns {Promise<Result<boolean | import('./dry-run.js').PlannedWrite>>} Whether the branch had to be created.
+ *     In dry-run mode the planned write of the branch is returned in place of `true`, as nothing was created.
+ */
 async function ensureBranchExists(octokit, owner, repo, branchName, baseBranch = 'main') {
-    try {
-        await getBranch(octokit, owner, repo, branchName);
-        console.log(`Branch ${branchName} already exists.`);
-    } catch (error) {
-        if (error.status === 404) {
-            console.log(`Branch ${branchName} does not exist. Creating it...`);
-
-            // Get the SHA of the base branch
-            const baseRef = `heads/${baseBranch}`;
-            const baseBranchData = await octokit.rest.git.getRef({
-                owner,
-                repo,
-                ref: baseRef,
-            });
-            const baseSha = baseBranchData.data.object.sha;
-
-            // Create the new branch
-            await octokit.rest.git.createRef({
-                owner,
-                repo,
-                ref: `refs/heads/${branchName}`,
-                sha: baseSha,
-            });
-            console.log(`Branch ${branchName} created successfully.`);
-        } else {
-            console.error(`Error checking branch: ${error.message}`);
+    const branch = await getBranch(octokit, owner, repo, branchName);
+
+    if (branch.success) {
+        log.info(`Branch ${branchName} already exists.`, { operation: 'ensureBranchExists' });
+        return { success: true, data: false };
+    }
+
+    if (branch.error.status !== 404) {
+        log.error('Error checking branch.', { operation: 'ensureBranchExists', error: branch.error });
+        return branch;
+    }
+
+    log.info(`Branch ${branchName} does not exist. Creating it.`, { operation: 'ensureBranchExists' });
+
+    // Get the SHA of the base branch
+    const baseBranchData = await getBranch(octokit, owner, repo, baseBranch);
+
+    if (!baseBranchData.success)
+        return baseBranchData;
+
+    // Create the new branch
+    const created = await createRequest(
+        octokit.rest.git.createRef,
+        {owner, repo, ref: `refs/heads/${branchName}`, sha: baseBranchData.data.object.sha}
+    ).runWith(octokit);
+
+    if (!created.success)
+        return created;
+
+    if (created.data?.dryRun) {
+        log.info(`Branch ${branchName} would be created (dry run).`, { operation: 'ensureBranchExists' });
+        return created;
+    }
+
+    log.info(`Branch ${branchName} created successfully.`, { operation: 'ensureBranchExists' });
+    return { success: true, data: true };
+}
+
+/**
+ * Breaker for ref updates: a rejected fast-forward is a conflict, not a transient failure.
+ * @type {RetryBreaker}
+ */
+const stopOnConflict = (error) => [[404, 409, 422].includes(error.status), error];
+
+/**
+ * Builds the result returned when a branch moved underneath a commit.
+ * @param {string} branch
+ * @param {string[]} paths - The changed paths that were also touched by the intervening commits.
+ * @returns {ResultError}
+ */
+const conflictResult = (branch, paths) => {
+    const error = new ConflictError(paths.length ?
+        `Branch ${branch} was updated with conflicting changes to ${paths.join(', ')}.` :
+        `Branch ${branch} was updated by another commit.`, { status: 409, paths });
+
+    return { success: false, error };
+}
+
+/**
+ * Validates a batch of file changes before anything is written.
+ * @param {OctokitWrapper~FileChange[]} changes
+ */
+const validateChanges = (changes) => {
+    if (!Array.isArray(changes) || changes.length === 0)
+        throw new Error('changes must be a non-empty array!');
+
+    changes.forEach((change) => {
+        const { type, path, from, content } = change;
+
+        if (!['add', 'update', 'delete', 'rename'].includes(type))
+            throw new Error(`Unknown change type "${type}"!`);
+
+        if (typeof path !== 'string' || path.length === 0)
+            throw new Error('changes must have a path!');
+
+        if (type === 'rename' && (typeof from !== 'string' || from.length === 0))
+            throw new Error('rename changes must have a from path!');
+
+        if ((type === 'add' || type === 'update') && content === undefined)
+            throw new Error(`${type} changes must have content!`);
+    });
+}
+
+/**
+ * Creates the blob for a change, or resolves the existing blob of a renamed file when no new content is given.
+ * Blob SHAs are cached by path so a rebase does not upload the same content twice.
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {OctokitWrapper~FileChange} change
+ * @param {string} parentSha
+ * @param {Map<string, string>} blobCache
+ * @returns {Promise<Result<string>>}
+ */
+const resolveBlob = async (octokit, owner, repo, change, parentSha, blobCache) => {
+    if (blobCache.has(change.path))
+        return { success: true, data: blobCache.get(change.path) };
+
+    const blob = change.content === undefined ?
+        await createRequest(
+            octokit.rest.repos.getContent,
+            { owner, repo, path: change.from, ref: parentSha }
+        ).withProperty('sha').runWith(octokit) :
+        await createRequest(
+            octokit.rest.git.createBlob,
+            { owner, repo, content: Buffer.from(change.content).toString('base64'), encoding: 'base64' }
+        ).withProperty('sha').runWith(octokit);
+
+    if (blob.success)
+        blobCache.set(change.path, blob.data);
+
+    return blob;
+}
+
+/**
+ * Gets the paths touched between two commits, including the old names of renamed files.
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} base
+ * @param {string} head
+ * @returns {Promise<Result<Set<string>>>}
+ */
+const getChangedPaths = async (octokit, owner, repo, base, head) => {
+    const files = await createRequest(
+        octokit.rest.repos.compareCommitsWithBasehead,
+        { owner, repo, basehead: `${base}...${head}` }
+    ).withProperty('files').runWith(octokit);
+
+    if (!files.success)
+        return files;
+
+    return {
+        success: true,
+        data: new Set(files.data.flatMap((file) => [file.filename, file.previous_filename].filter(Boolean)))
+    };
+}
+
+/**
+ * Commits a batch of file changes to a branch as a single commit using the Git Data API.
+ * The blobs, tree and commit are built on top of the branch head, which is then fast-forwarded. If the branch moved in
+ * the meantime the commit is either rejected with a conflict or, when `onConflict` is `'rebase'`, rebuilt on the new
+ * head, as long as none of the intervening commits touched the same paths.
+ * @callback CommitFiles
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {OctokitWrapper~CommitOptions} options
+ * @returns {Promise<Result<{ commitSha: string, treeSha: string, parentSha: string }>>}
+ */
+const commitFiles = async (octokit, owner, repo, options) => {
+    const {
+        branch = 'main',
+        message,
+        changes,
+        onConflict = 'fail',
+        maxRebases = 3,
+        author,
+        committer
+    } = options;
+
+    if (typeof message !== 'string' || message.length === 0)
+        throw new Error('message must be a non-empty string!');
+
+    if (!['fail', 'rebase'].includes(onConflict))
+        throw new Error('onConflict must be "fail" or "rebase"!');
+
+    validateChanges(changes);
+
+    const touchedPaths = changes.flatMap(({ path, from }) => from ? [from, path] : [path]);
+    const blobCache = new Map();
+    let parentSha = null;
+
+    for (let rebase = 0; rebase <= maxRebases; rebase++) {
+        const head = await getBranch(octokit, owner, repo, branch);
+
+        if (!head.success)
+            return head;
+
+        const headSha = head.data.object.sha;
+
+        if (parentSha && parentSha !== headSha) {
+            const changedPaths = await getChangedPaths(octokit, owner, repo, parentSha, headSha);
+
+            if (!changedPaths.success)
+                return changedPaths;
+
+            const conflicts = touchedPaths.filter((path) => changedPaths.data.has(path));
+
+            if (conflicts.length)
+                return conflictResult(branch, conflicts);
+        }
+
+        parentSha = headSha;
+
+        const baseTree = await createRequest(
+            octokit.rest.git.getCommit,
+            { owner, repo, commit_sha: parentSha }
+        ).withProperty('tree').runWith(octokit);
+
+        if (!baseTree.success)
+            return baseTree;
+
+        const tree = [];
+
+        for (const change of changes) {
+            const { type, path, from, mode = '100644' } = change;
+
+            if (type === 'delete' || type === 'rename')
+                tree.push({ path: from ?? path, mode: '100644', type: 'blob', sha: null });
+
+            if (type === 'delete')
+                continue;
+
+            const blob = await resolveBlob(octokit, owner, repo, change, parentSha, blobCache);
+
+            if (!blob.success)
+                return blob;
+
+            tree.push({ path, mode, type: 'blob', sha: blob.data });
+        }
+
+        const treeSha = await createRequest(
+            octokit.rest.git.createTree,
+            { owner, repo, base_tree: baseTree.data.sha, tree }
+        ).withProperty('sha').runWith(octokit);
+
+        if (!treeSha.success)
+            return treeSha;
+
+        const commitSha = await createRequest(
+            octokit.rest.git.createCommit,
+            { owner, repo, message, tree: treeSha.data, parents: [parentSha], author, committer }
+        ).withProperty('sha').runWith(octokit);
+
+        if (!commitSha.success)
+            return commitSha;
+
+        const update = await createRequest(
+            octokit.rest.git.updateRef,
+            { owner, repo, ref: `heads/${branch}`, sha: commitSha.data, force: false }
+        ).withRetryBreaker(stopOnConflict).runWith(octokit);
+
+        if (update.success) {
+            log.info(`Committed ${changes.length} change(s) to ${branch}.`, { operation: 'commitFiles' });
+
+            return { success: true, data: { commitSha: commitSha.data, treeSha: treeSha.data, parentSha } };
         }
+
+        if (![409, 422].includes(update.error.status))
+            return update;
+
+        if (onConflict === 'fail')
+            return conflictResult(branch, []);
+
+        log.info(`Branch ${branch} moved while committing. Rebasing.`, { operation: 'commitFiles' });
     }
+
+    return conflictResult(branch, []);
 }
 
 
@@ -469,13 +482,57 @@ async function ensureBranchExists(octokit, owner, repo, branchName, baseBranch =
 /**
  * @typedef {Object} OctokitWrapper
  * @property {typeof updateSecrets} updateSecrets
- * @property {GetAccessTokenFromRefreshToken} getAccessTokenFromRefreshToken
- * @property {GetAccessTokenFromCode} getAccessTokenFromCode
+ * @property {import('./oauth.js').GetAccessTokenFromRefreshToken} getAccessTokenFromRefreshToken
+ * @property {import('./oauth.js').GetAccessTokenFromCode} getAccessTokenFromCode
+ * @property {import('./oauth.js').CreateAuthorizeUrl} createAuthorizeUrl
+ * @property {import('./oauth.js').ExchangeCode} exchangeCode
+ * @property {import('./oauth.js').RefreshAccessToken} refreshAccessToken
+ * @property {import('./oauth.js').RequestDeviceCode} requestDeviceCode
+ * @property {import('./oauth.js').PollDeviceToken} pollDeviceToken
+ * @property {import('./oauth.js').AuthorizeDevice} authorizeDevice
  * @property {GetRepoID} getRepoID
- * @property {GetSodium} getSodium
+ * @property {import('./secrets.js').GetSodium} getSodium
  * @property {CreateAppOctokitProvider} createAppOctokitProvider
+ * @property {import('./app-provider.js').CreateAppProvider} createAppProvider
+ * @property {import('./webhooks.js').CreateWebhookReceiver} createWebhookReceiver
+ * @property {typeof verifySignature} verifySignature
  * @property {CreateUserOctokitProvider} createUserOctokitProvider
+ * @property {import('./user-token-provider.js').CreateUserTokenProvider} createUserTokenProvider
  * @property {RunWithRetries} runWithRetries
+ * @property {typeof createGraphQLRequest} createGraphQLRequest
+ * @property {typeof createRateLimitBudget} createRateLimitBudget
+ * @property {typeof getRateLimitBudget} getRateLimitBudget
+ * @property {typeof setRateLimitBudget} setRateLimitBudget
+ * @property {typeof withRateLimitBudget} withRateLimitBudget
+ * @property {typeof setDryRun} setDryRun
+ * @property {typeof getDryRunPlan} getDryRunPlan
+ * @property {typeof dryRun} dryRun
+ * @property {typeof createJsonLogger} createJsonLogger
+ * @property {typeof setLogger} setLogger
+ * @property {typeof getLogger} getLogger
+ * @property {typeof withLogContext} withLogContext
+ * @property {typeof setTelemetry} setTelemetry
+ * @property {typeof createResponseCache} createResponseCache
+ * @property {typeof createLruStore} createLruStore
+ * @property {typeof getResponseCache} getResponseCache
+ * @property {typeof setResponseCache} setResponseCache
+ * @property {import('./batch.js').SelectRepositories} selectRepositories
+ * @property {import('./batch.js').RunBatch} runBatch
+ * @property {EnsureBranchExists} ensureBranchExists
+ * @property {CommitFiles} commitFiles
+ * @property {import('./pull-requests.js').FindPullRequest} findPullRequest
+ * @property {import('./pull-requests.js').EnsurePullRequest} ensurePullRequest
+ * @property {import('./pull-requests.js').SetPullRequestLabels} setPullRequestLabels
+ * @property {import('./pull-requests.js').SetPullRequestAssignees} setPullRequestAssignees
+ * @property {import('./pull-requests.js').RequestPullRequestReviewers} requestPullRequestReviewers
+ * @property {import('./pull-requests.js').EnablePullRequestAutoMerge} enablePullRequestAutoMerge
+ * @property {import('./pull-requests.js').ClosePullRequest} closePullRequest
+ * @property {typeof createReconciler} createReconciler
+ * @property {import('./secrets.js').GetSecretsPublicKey} getSecretsPublicKey
+ * @property {import('./secrets.js').ListSecrets} listSecrets
+ * @property {import('./secrets.js').SetSecrets} setSecrets
+ * @property {import('./secrets.js').DeleteSecret} deleteSecret
+ * @property {import('./secrets.js').SyncSecrets} syncSecrets
  */
 
 /**
@@ -485,18 +542,61 @@ const OctokitWrapper = Object.freeze({
     updateSecrets,
     getAccessTokenFromRefreshToken,
     getAccessTokenFromCode,
+    createAuthorizeUrl,
+    exchangeCode,
+    refreshAccessToken,
+    requestDeviceCode,
+    pollDeviceToken,
+    authorizeDevice,
     getRepoID,
     getSodium,
     createUserOctokitProvider,
+    createUserTokenProvider,
     createAppOctokitProvider,
+    createAppProvider,
+    createWebhookReceiver,
+    verifySignature,
     createRequest,
+    createGraphQLRequest,
     runWithRetries,
+    createRateLimitBudget,
+    getRateLimitBudget,
+    setRateLimitBudget,
+    withRateLimitBudget,
+    setDryRun,
+    getDryRunPlan,
+    dryRun,
+    createJsonLogger,
+    setLogger,
+    getLogger,
+    withLogContext,
+    setTelemetry,
+    createResponseCache,
+    createLruStore,
+    getResponseCache,
+    setResponseCache,
+    selectRepositories,
+    runBatch,
     getRepoByID,
     createOrUpdateFile,
     getFile,
     getBranch,
     getTag,
-    ensureBranchExists
+    ensureBranchExists,
+    commitFiles,
+    findPullRequest,
+    ensurePullRequest,
+    setPullRequestLabels,
+    setPullRequestAssignees,
+    requestPullRequestReviewers,
+    enablePullRequestAutoMerge,
+    closePullRequest,
+    createReconciler,
+    getSecretsPublicKey,
+    listSecrets,
+    setSecrets,
+    deleteSecret,
+    syncSecrets
 });
 
 export { OctokitWrapper };
@@ -519,16 +619,6 @@ export { OctokitWrapper };
  * @typedef {ResultSuccess<T> | ResultError} Result<T>
  */
 
-/**
- * @template T
- * @typedef {Object} RequestBuilder
- * @property {(maxRetries: number) => RequestBuilder<T>} withRetries
- * @property {(interval: number) => RequestBuilder<T>} withInterval
- * @property {(callback: RetryBreaker) => RequestBuilder<T>} withRetryBreaker
- * @property {(propertyName: string) => RequestBuilder<T>} withProperty
- * @property {(octokit: T) => Promise<*>} runWith
- */
-
 /**
  * @typedef {import('@octokit/core').Octokit & {
  *   rest: import('@octokit/plugin-rest-endpoint-methods').RestEndpointMethods
@@ -542,7 +632,21 @@ export { OctokitWrapper };
  */
 
 /**
- * @callback RetryBreaker
- * @param {Error} error
- * @returns {[Boolean, Error]}
+ * @typedef {Object} OctokitWrapper~FileChange
+ * @property {'add' | 'update' | 'delete' | 'rename'} type
+ * @property {string} path - The file path; for renames, the new path.
+ * @property {string} [from] - The old path of a renamed file.
+ * @property {string | Buffer} [content] - The file content. Optional for renames, which keep the old content.
+ * @property {'100644' | '100755'} [mode] - The file mode, defaults to a regular file.
+ */
+
+/**
+ * @typedef {Object} OctokitWrapper~CommitOptions
+ * @property {string} [branch] - The branch to commit to, defaults to `main`.
+ * @property {string} message - The commit message.
+ * @property {OctokitWrapper~FileChange[]} changes
+ * @property {'fail' | 'rebase'} [onConflict] - What to do when the branch moved, defaults to `fail`.
+ * @property {number} [maxRebases] - How often to rebase before giving up, defaults to 3.
+ * @property {{ name: string, email: string }} [author]
+ * @property {{ name: string, email: string }} [committer]
  */
\ No newline at end of file
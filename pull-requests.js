@@ -0,0 +1,322 @@
+// @ts-check
+
+import { createGraphQLRequest, createRequest } from './request-builder.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+const ENABLE_AUTO_MERGE = `
+    mutation ($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+        enablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod }) {
+            pullRequest { number }
+        }
+    }
+`;
+
+/**
+ * Breaker for deletes: a reference that is already gone needs no retrying.
+ * @type {import('./request-builder.js').RetryBreaker}
+ */
+const stopOnMissing = (error) => [[404, 422].includes(error.status), error];
+
+/**
+ * Finds the open pull request for a head/base pair.
+ * @callback FindPullRequest
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{ head: string, base?: string }} refs - The head branch and the base branch, which defaults to `main`.
+ * @returns {Promise<Result<object | null>>} The pull request, or `null` if there is none.
+ */
+const findPullRequest = async (octokit, owner, repo, { head, base = 'main' }) => {
+    const pulls = await createRequest(
+        octokit.rest.pulls.list,
+        { owner, repo, state: 'open', head: `${owner}:${head}`, base }
+    ).runWith(octokit);
+
+    if (!pulls.success)
+        return pulls;
+
+    return { success: true, data: pulls.data[0] ?? null };
+}
+
+/**
+ * Finds or creates the pull request for a head/base pair. An existing pull request has its title and body updated
+ * when they differ from the ones given.
+ * @callback EnsurePullRequest
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {PullRequestOptions} options
+ * @returns {Promise<Result<{ pullRequest: object, created: boolean, updated: boolean }>>}
+ */
+const ensurePullRequest = async (octokit, owner, repo, { head, base = 'main', title, body = '', draft = false }) => {
+    if (typeof title !== 'string' || title.length === 0)
+        throw new Error('title must be a non-empty string!');
+
+    const existing = await findPullRequest(octokit, owner, repo, { head, base });
+
+    if (!existing.success)
+        return existing;
+
+    if (!existing.data) {
+        log.info(`Opening pull request ${head} -> ${base}.`, { operation: 'ensurePullRequest' });
+
+        const created = await createRequest(
+            octokit.rest.pulls.create,
+            { owner, repo, head, base, title, body, draft }
+        ).runWith(octokit);
+
+        if (!created.success)
+            return created;
+
+        return { success: true, data: { pullRequest: created.data, created: true, updated: false } };
+    }
+
+    const pullRequest = existing.data;
+
+    if (pullRequest.title === title && (pullRequest.body ?? '') === body)
+        return { success: true, data: { pullRequest, created: false, updated: false } };
+
+    log.info(`Updating pull request #${pullRequest.number}.`, { operation: 'ensurePullRequest' });
+
+    const updated = await createRequest(
+        octokit.rest.pulls.update,
+        { owner, repo, pull_number: pullRequest.number, title, body }
+    ).runWith(octokit);
+
+    if (!updated.success)
+        return updated;
+
+    return { success: true, data: { pullRequest: updated.data, created: false, updated: true } };
+}
+
+/**
+ * Replaces the labels of a pull request. Nothing is written when the labels already match.
+ * @callback SetPullRequestLabels
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} pullNumber
+ * @param {string[]} labels
+ * @returns {Promise<Result<string[]>>} The labels now on the pull request.
+ */
+const setPullRequestLabels = async (octokit, owner, repo, pullNumber, labels) => {
+    const current = await createRequest(
+        octokit.rest.issues.listLabelsOnIssue,
+        { owner, repo, issue_number: pullNumber }
+    ).paginate().runWith(octokit);
+
+    if (!current.success)
+        return current;
+
+    const names = current.data.map((label) => label.name);
+
+    if (names.length === labels.length && labels.every((label) => names.includes(label)))
+        return { success: true, data: names };
+
+    const updated = await createRequest(
+        octokit.rest.issues.setLabels,
+        { owner, repo, issue_number: pullNumber, labels }
+    ).runWith(octokit);
+
+    if (!updated.success)
+        return updated;
+
+    return { success: true, data: updated.data.map((label) => label.name) };
+}
+
+/**
+ * Replaces the assignees of a pull request, adding the missing ones and removing the rest.
+ * @callback SetPullRequestAssignees
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} pullNumber
+ * @param {string[]} assignees
+ * @returns {Promise<Result<string[]>>} The assignees now on the pull request.
+ */
+const setPullRequestAssignees = async (octokit, owner, repo, pullNumber, assignees) => {
+    const issue = await createRequest(
+        octokit.rest.issues.get,
+        { owner, repo, issue_number: pullNumber }
+    ).runWith(octokit);
+
+    if (!issue.success)
+        return issue;
+
+    const current = issue.data.assignees.map((assignee) => assignee.login);
+    const toAdd = assignees.filter((login) => !current.includes(login));
+    const toRemove = current.filter((login) => !assignees.includes(login));
+
+    if (toAdd.length) {
+        const added = await createRequest(
+            octokit.rest.issues.addAssignees,
+            { owner, repo, issue_number: pullNumber, assignees: toAdd }
+        ).runWith(octokit);
+
+        if (!added.success)
+            return added;
+    }
+
+    if (toRemove.length) {
+        const removed = await createRequest(
+            octokit.rest.issues.removeAssignees,
+            { owner, repo, issue_number: pullNumber, assignees: toRemove }
+        ).runWith(octokit);
+
+        if (!removed.success)
+            return removed;
+    }
+
+    return { success: true, data: [...assignees] };
+}
+
+/**
+ * Requests reviews from the given users and teams. Reviewers that are already requested are skipped; existing
+ * review requests are left in place.
+ * @callback RequestPullRequestReviewers
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} pullNumber
+ * @param {{ reviewers?: string[], teamReviewers?: string[] }} reviewers - User logins and team slugs.
+ * @returns {Promise<Result<{ reviewers: string[], teamReviewers: string[] }>>} The reviewers that were requested.
+ */
+const requestPullRequestReviewers = async (octokit, owner, repo, pullNumber, { reviewers = [], teamReviewers = [] }) => {
+    const requested = await createRequest(
+        octokit.rest.pulls.listRequestedReviewers,
+        { owner, repo, pull_number: pullNumber }
+    ).runWith(octokit);
+
+    if (!requested.success)
+        return requested;
+
+    const users = requested.data.users.map((user) => user.login);
+    const teams = requested.data.teams.map((team) => team.slug);
+    const missing = {
+        reviewers: reviewers.filter((login) => !users.includes(login)),
+        teamReviewers: teamReviewers.filter((slug) => !teams.includes(slug))
+    };
+
+    if (!missing.reviewers.length && !missing.teamReviewers.length)
+        return { success: true, data: missing };
+
+    const response = await createRequest(
+        octokit.rest.pulls.requestReviewers,
+        { owner, repo, pull_number: pullNumber, reviewers: missing.reviewers, team_reviewers: missing.teamReviewers }
+    ).runWith(octokit);
+
+    if (!response.success)
+        return response;
+
+    return { success: true, data: missing };
+}
+
+/**
+ * Enables auto-merge on a pull request. Nothing is written when auto-merge is already enabled with the same method.
+ * @callback EnablePullRequestAutoMerge
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} pullNumber
+ * @param {'MERGE' | 'SQUASH' | 'REBASE'} [mergeMethod]
+ * @returns {Promise<Result<boolean>>} Whether auto-merge had to be enabled.
+ */
+const enablePullRequestAutoMerge = async (octokit, owner, repo, pullNumber, mergeMethod = 'MERGE') => {
+    const pullRequest = await createRequest(
+        octokit.rest.pulls.get,
+        { owner, repo, pull_number: pullNumber }
+    ).runWith(octokit);
+
+    if (!pullRequest.success)
+        return pullRequest;
+
+    if (pullRequest.data.auto_merge?.merge_method?.toUpperCase() === mergeMethod)
+        return { success: true, data: false };
+
+    const enabled = await createGraphQLRequest(
+        ENABLE_AUTO_MERGE,
+        { pullRequestId: pullRequest.data.node_id, mergeMethod }
+    ).runWith(octokit);
+
+    if (!enabled.success)
+        return enabled;
+
+    return { success: true, data: true };
+}
+
+/**
+ * Closes a pull request and deletes its head branch. A pull request that is already closed, or a branch that is
+ * already gone, is left as it is. Branches of forks are never deleted.
+ * @callback ClosePullRequest
+ * @param {FullOctokit} octokit
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} pullNumber
+ * @param {{ deleteBranch?: boolean }} [options]
+ * @returns {Promise<Result<{ closed: boolean, branchDeleted: boolean }>>} What had to be done.
+ */
+const closePullRequest = async (octokit, owner, repo, pullNumber, { deleteBranch = true } = {}) => {
+    const pullRequest = await createRequest(
+        octokit.rest.pulls.get,
+        { owner, repo, pull_number: pullNumber }
+    ).runWith(octokit);
+
+    if (!pullRequest.success)
+        return pullRequest;
+
+    const { state, head, base } = pullRequest.data;
+    const closed = state === 'open';
+
+    if (closed) {
+        log.info(`Closing pull request #${pullNumber}.`, { operation: 'closePullRequest' });
+
+        const response = await createRequest(
+            octokit.rest.pulls.update,
+            { owner, repo, pull_number: pullNumber, state: 'closed' }
+        ).runWith(octokit);
+
+        if (!response.success)
+            return response;
+    }
+
+    if (!deleteBranch || head.repo?.full_name !== base.repo.full_name)
+        return { success: true, data: { closed, branchDeleted: false } };
+
+    const deleted = await createRequest(
+        octokit.rest.git.deleteRef,
+        { owner, repo, ref: `heads/${head.ref}` }
+    ).withRetryBreaker(stopOnMissing).runWith(octokit);
+
+    if (!deleted.success && ![404, 422].includes(deleted.error.status))
+        return deleted;
+
+    return { success: true, data: { closed, branchDeleted: deleted.success } };
+}
+
+export {
+    findPullRequest,
+    ensurePullRequest,
+    setPullRequestLabels,
+    setPullRequestAssignees,
+    requestPullRequestReviewers,
+    enablePullRequestAutoMerge,
+    closePullRequest
+};
+
+/**
+ * @typedef {Object} PullRequestOptions
+ * @property {string} head - The branch containing the changes.
+ * @property {string} [base] - The branch to merge into, defaults to `main`.
+ * @property {string} title
+ * @property {string} [body]
+ * @property {boolean} [draft] - Only used when the pull request is created.
+ */
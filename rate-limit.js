@@ -0,0 +1,161 @@
+// @ts-check
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * The longest a request waits for a rate limit to reset before giving up, unless configured otherwise.
+ */
+export const MAX_RATE_LIMIT_WAIT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * GitHub asks clients to wait at least a minute after a secondary rate limit without a `retry-after` header.
+ */
+const SECONDARY_RATE_LIMIT_WAIT = 60 * 1000;
+
+const budgets = new WeakMap();
+const scope = new AsyncLocalStorage();
+
+/**
+ * Reads a numeric header value, ignoring missing or malformed values.
+ * @param {Record<string, string | number | undefined> | undefined} headers
+ * @param {string} name
+ * @returns {number | null}
+ */
+const readHeader = (headers, name) => {
+    const value = Number(headers?.[name]);
+
+    return headers?.[name] === undefined || Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Works out whether an error was caused by a primary or secondary rate limit, and how long to wait before retrying.
+ * GraphQL requests report a rate limit as a `RATE_LIMITED` error in a successful response.
+ * @param {any} error - The error thrown by Octokit.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {{ type: 'primary' | 'secondary', delay: number } | null} `null` if the error is not a rate limit.
+ */
+export const getRateLimitDelay = (error, now = Date.now()) => {
+    const graphQLLimited = error?.graphQLErrors?.some(({ type }) => type === 'RATE_LIMITED') ?? false;
+
+    if (![403, 429].includes(error?.status) && !graphQLLimited)
+        return null;
+
+    const headers = error.response?.headers;
+    const retryAfter = readHeader(headers, 'retry-after');
+    const remaining = readHeader(headers, 'x-ratelimit-remaining');
+    const reset = readHeader(headers, 'x-ratelimit-reset');
+
+    if (retryAfter !== null)
+        return { type: 'secondary', delay: retryAfter * 1000 };
+
+    if (remaining === 0 && reset !== null)
+        return { type: 'primary', delay: Math.max(reset * 1000 - now, 0) };
+
+    if (/secondary rate limit/i.test(error.message ?? ''))
+        return { type: 'secondary', delay: SECONDARY_RATE_LIMIT_WAIT };
+
+    if (graphQLLimited)
+        return { type: 'primary', delay: SECONDARY_RATE_LIMIT_WAIT };
+
+    return null;
+}
+
+/**
+ * Creates a tracker for the rate limit budget shared by all requests made through one Octokit instance.
+ * Once the remaining budget drops to the reserve, requests are spread out evenly until the limit resets. A secondary
+ * rate limit pauses every request until its `retry-after` delay has passed.
+ * @param {{ reserve?: number }} [options] - How many requests to keep in reserve before slowing down.
+ * @returns {RateLimitBudget}
+ */
+export const createRateLimitBudget = ({ reserve = 100 } = {}) => {
+    let remaining = null;
+    let resetAt = 0;
+    let blockedUntil = 0;
+    let nextSlot = 0;
+
+    return {
+        update: (headers) => {
+            const newRemaining = readHeader(headers, 'x-ratelimit-remaining');
+            const reset = readHeader(headers, 'x-ratelimit-reset');
+
+            if (newRemaining === null || reset === null)
+                return;
+
+            remaining = newRemaining;
+            resetAt = reset * 1000;
+        },
+        pause: (delay) => {
+            blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+        },
+        wait: async () => {
+            const now = Date.now();
+            let start = Math.max(now, blockedUntil);
+
+            if (remaining !== null && resetAt > start && remaining <= reserve) {
+                const spacing = remaining > 0 ? (resetAt - start) / remaining : resetAt - start;
+
+                start = remaining > 0 ? Math.max(start, nextSlot) : resetAt;
+                nextSlot = start + spacing;
+            }
+
+            if (remaining > 0)
+                remaining--;
+
+            if (start > now)
+                await new Promise((res) => setTimeout(res, start - now));
+        },
+        snapshot: () => ({ remaining, resetAt, blockedUntil })
+    };
+}
+
+/**
+ * Gets the budget tracker of the requests made with an Octokit instance: the one a `withRateLimitBudget` callback
+ * uses for it, or else the one shared by every request made with it, created on first use.
+ * @param {object} octokit
+ * @returns {RateLimitBudget}
+ */
+export const getRateLimitBudget = (octokit) => {
+    const scoped = scope.getStore()?.get(octokit);
+
+    if (scoped)
+        return scoped;
+
+    if (!budgets.has(octokit))
+        budgets.set(octokit, createRateLimitBudget());
+
+    return budgets.get(octokit);
+}
+
+/**
+ * Replaces the budget tracker of an Octokit instance, e.g. to change its reserve.
+ * @param {object} octokit
+ * @param {RateLimitBudget} budget
+ */
+export const setRateLimitBudget = (octokit, budget) => {
+    budgets.set(octokit, budget);
+}
+
+/**
+ * Runs a callback with its own budget tracker for the requests it makes with an Octokit instance. Other requests made
+ * with the Octokit, including those of other callbacks running at the same time, keep their budget.
+ * @template T
+ * @param {object} octokit
+ * @param {RateLimitBudget} budget
+ * @param {() => T} callback
+ * @returns {T}
+ */
+export const withRateLimitBudget = (octokit, budget, callback) => {
+    const scoped = new Map(scope.getStore());
+
+    scoped.set(octokit, budget);
+
+    return scope.run(scoped, callback);
+}
+
+/**
+ * @typedef {Object} RateLimitBudget
+ * @property {(headers: Record<string, any> | undefined) => void} update - Records the rate limit headers of a response.
+ * @property {(delay: number) => void} pause - Holds back every request for the given number of milliseconds.
+ * @property {() => Promise<void>} wait - Resolves once the next request may be sent.
+ * @property {() => { remaining: number | null, resetAt: number, blockedUntil: number }} snapshot
+ */
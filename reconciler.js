@@ -0,0 +1,414 @@
+// @ts-check
+
+import { OctokitWrapper } from './octokit-wrapper.js';
+import { createRequest } from './request-builder.js';
+import { GitHubError, toGitHubError } from './errors.js';
+import { Task } from './executors/classes/task.js';
+import { TaskChain } from './executors/classes/taskChain.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+/**
+ * @typedef {import('./executors/classes/taskChain.js').ChainReport} ChainReport
+ */
+
+const DEFAULT_PROTECTION = {
+    required_status_checks: null,
+    enforce_admins: null,
+    required_pull_request_reviews: null,
+    restrictions: null
+};
+
+/**
+ * Checks whether every value set in `desired` matches `current`. Arrays are compared regardless of order.
+ * @param {any} desired
+ * @param {any} current
+ * @returns {boolean}
+ */
+const matches = (desired, current) => {
+    if (Array.isArray(desired))
+        return Array.isArray(current) &&
+            JSON.stringify([...desired].sort()) === JSON.stringify([...current].sort());
+
+    if (desired !== null && typeof desired === 'object')
+        return current !== null && typeof current === 'object' &&
+            Object.entries(desired).every(([key, value]) => matches(value, current[key]));
+
+    return desired === current;
+}
+
+/**
+ * Brings a branch protection response into the shape of the request that sets it.
+ * @param {any} protection
+ * @returns {Object}
+ */
+const normalizeProtection = (protection) => ({
+    required_status_checks: protection.required_status_checks ?
+        { strict: protection.required_status_checks.strict, contexts: protection.required_status_checks.contexts } :
+        null,
+    enforce_admins: protection.enforce_admins?.enabled ?? null,
+    required_pull_request_reviews: protection.required_pull_request_reviews ?? null,
+    restrictions: protection.restrictions ?
+        {
+            users: protection.restrictions.users.map((user) => user.login),
+            teams: protection.restrictions.teams.map((team) => team.slug),
+            apps: protection.restrictions.apps?.map((app) => app.slug) ?? []
+        } :
+        null
+});
+
+/**
+ * Unwraps a result so failures surface as thrown errors, which is what `Task` retries and reports on.
+ * @template T
+ * @param {Result<T>} result
+ * @returns {T}
+ */
+const unwrap = (result) => {
+    if (!result.success)
+        throw result.error;
+
+    return result.data;
+}
+
+// A declaration, so `OctokitWrapper` can expose it while this module is still waiting on `octokit-wrapper.js`.
+/**
+ * Creates a reconciler that brings a repository to a desired state.
+ * `plan` compares the desired state with the repository and lists the changes that are needed; `apply` runs those
+ * changes as a `TaskChain`, one task per change, so each change reports through the `taskSuccess` and `taskError`
+ * events. Secret values cannot be read back, so desired secrets are always planned as a write.
+ * @param {FullOctokit} octokit
+ * @param {DesiredRepoState} desired
+ * @returns {Reconciler}
+ */
+export function createReconciler(octokit, desired) {
+    const {
+        owner,
+        repo,
+        branches = [],
+        files = [],
+        secrets = [],
+        variables = [],
+        labels = [],
+        branchProtection = []
+    } = desired;
+
+    if (!owner || !repo)
+        throw new Error('owner and repo must be set!');
+
+    const planBranches = async () => {
+        const changes = [];
+
+        for (const { name, from = 'main' } of branches) {
+            const branch = await OctokitWrapper.getBranch(octokit, owner, repo, name);
+
+            if (branch.success)
+                continue;
+
+            if (branch.error.status !== 404)
+                return branch;
+
+            changes.push({ kind: 'branch', action: 'create', target: name, after: { from } });
+        }
+
+        return { success: true, data: changes };
+    }
+
+    const planFiles = async () => {
+        const changes = [];
+
+        for (const { path, content, branch = 'main' } of files) {
+            try {
+                const { processedFile } = await OctokitWrapper.getFile(octokit, owner, repo, path, { branch });
+
+                if (processedFile !== content)
+                    changes.push({ kind: 'file', action: 'update', target: `${branch}:${path}`, before: processedFile, after: content });
+            } catch (error) {
+                if (error.status !== 404)
+                    return { success: false, error };
+
+                changes.push({ kind: 'file', action: 'create', target: `${branch}:${path}`, after: content });
+            }
+        }
+
+        return { success: true, data: changes };
+    }
+
+    const planSecrets = async () => {
+        if (!secrets.length)
+            return { success: true, data: [] };
+
+        const existing = await OctokitWrapper.listSecrets(octokit, { type: 'repo', owner, repo });
+
+        if (!existing.success)
+            return existing;
+
+        const names = existing.data.map((secret) => secret.name.toUpperCase());
+
+        return {
+            success: true,
+            data: secrets.map(({ key }) => ({
+                kind: 'secret',
+                action: names.includes(key.toUpperCase()) ? 'update' : 'create',
+                target: key
+            }))
+        };
+    }
+
+    const planVariables = async () => {
+        if (!variables.length)
+            return { success: true, data: [] };
+
+        const existing = await createRequest(
+            'GET /repos/{owner}/{repo}/actions/variables',
+            { owner, repo }
+        ).withProperty('variables').paginate().runWith(octokit);
+
+        if (!existing.success)
+            return existing;
+
+        const changes = [];
+
+        for (const { name, value } of variables) {
+            const current = existing.data.find((variable) => variable.name.toUpperCase() === name.toUpperCase());
+
+            if (!current)
+                changes.push({ kind: 'variable', action: 'create', target: name, after: value });
+            else if (current.value !== value)
+                changes.push({ kind: 'variable', action: 'update', target: name, before: current.value, after: value });
+        }
+
+        return { success: true, data: changes };
+    }
+
+    const planLabels = async () => {
+        if (!labels.length)
+            return { success: true, data: [] };
+
+        const existing = await createRequest(
+            'GET /repos/{owner}/{repo}/labels',
+            { owner, repo }
+        ).paginate().runWith(octokit);
+
+        if (!existing.success)
+            return existing;
+
+        const changes = [];
+
+        for (const { name, color, description } of labels) {
+            const current = existing.data.find((label) => label.name.toLowerCase() === name.toLowerCase());
+            const after = { color: color?.replace(/^#/, '').toLowerCase(), description };
+
+            if (!current)
+                changes.push({ kind: 'label', action: 'create', target: name, after });
+            else if (!matches(JSON.parse(JSON.stringify(after)), current))
+                changes.push({
+                    kind: 'label',
+                    action: 'update',
+                    target: name,
+                    before: { color: current.color, description: current.description },
+                    after
+                });
+        }
+
+        return { success: true, data: changes };
+    }
+
+    const planBranchProtection = async () => {
+        const changes = [];
+
+        for (const { branch, settings } of branchProtection) {
+            const current = await createRequest(
+                'GET /repos/{owner}/{repo}/branches/{branch}/protection',
+                { owner, repo, branch }
+            ).runWith(octokit);
+
+            if (!current.success && current.error.status !== 404)
+                return current;
+
+            if (!current.success)
+                changes.push({ kind: 'branchProtection', action: 'create', target: branch, after: settings });
+            else if (!matches(settings, normalizeProtection(current.data)))
+                changes.push({
+                    kind: 'branchProtection',
+                    action: 'update',
+                    target: branch,
+                    before: normalizeProtection(current.data),
+                    after: settings
+                });
+        }
+
+        return { success: true, data: changes };
+    }
+
+    /**
+     * Performs a single planned change.
+     * @param {ReconcileChange} change
+     * @returns {Promise<any>}
+     */
+    const applyChange = async (change) => {
+        const { kind, action, target } = change;
+
+        switch (kind) {
+            case 'branch':
+                return unwrap(await OctokitWrapper.ensureBranchExists(octokit, owner, repo, target, change.after.from));
+            case 'file': {
+                const file = files.find(({ path, branch = 'main' }) => `${branch}:${path}` === target);
+                const { path, content, branch = 'main', message = `Update ${path}` } = file;
+
+                return unwrap(await OctokitWrapper.createOrUpdateFile(octokit, owner, repo, path, content, message, branch));
+            }
+            case 'secret':
+                return unwrap(await OctokitWrapper.updateSecrets(
+                    octokit,
+                    owner,
+                    repo,
+                    secrets.filter(({ key }) => key === target)
+                ));
+            case 'variable':
+                return unwrap(await createRequest(
+                    action === 'create' ?
+                        'POST /repos/{owner}/{repo}/actions/variables' :
+                        'PATCH /repos/{owner}/{repo}/actions/variables/{name}',
+                    { owner, repo, name: target, value: change.after }
+                ).runWith(octokit));
+            case 'label':
+                return unwrap(await createRequest(
+                    action === 'create' ? 'POST /repos/{owner}/{repo}/labels' : 'PATCH /repos/{owner}/{repo}/labels/{name}',
+                    { owner, repo, name: target, ...change.after }
+                ).runWith(octokit));
+            case 'branchProtection':
+                return unwrap(await createRequest(
+                    'PUT /repos/{owner}/{repo}/branches/{branch}/protection',
+                    { owner, repo, branch: target, ...DEFAULT_PROTECTION, ...change.after }
+                ).runWith(octokit));
+            default:
+                throw new Error(`Unknown change kind "${kind}"!`);
+        }
+    }
+
+    /**
+     * Lists the changes needed to bring the repository to the desired state.
+     * @returns {Promise<Result<ReconcilePlan>>}
+     */
+    const plan = async () => {
+        const changes = [];
+
+        for (const planKind of [planBranches, planFiles, planSecrets, planVariables, planLabels, planBranchProtection]) {
+            const planned = await planKind();
+
+            if (!planned.success)
+                return planned;
+
+            changes.push(...planned.data);
+        }
+
+        return { success: true, data: { owner, repo, changes } };
+    }
+
+    /**
+     * Builds a task chain that performs the planned changes in order. Wrapper operations retry on their own, so every
+     * task is attempted only once.
+     * @param {ReconcilePlan} reconcilePlan
+     * @param {(change: ReconcileChange, result: any) => void} [onApplied] - Called after each change succeeds.
+     * @returns {TaskChain}
+     */
+    const toChain = (reconcilePlan, onApplied = () => {}) => {
+        const chain = new TaskChain();
+
+        reconcilePlan.changes.forEach((change, idx) => {
+            const label = `${idx + 1}-${change.kind}-${change.action}-${change.target}`.replace(/\s/g, '_');
+
+            chain.addTask(new Task(label, async () => {
+                const result = await applyChange(change);
+
+                onApplied(change, result);
+
+                return result;
+            }, { retries: 1 }));
+        });
+
+        return chain;
+    }
+
+    /**
+     * Performs the changes of a plan, planning them first if no plan is given. Stops at the first change that fails.
+     * @param {ReconcilePlan} [reconcilePlan]
+     * @returns {Promise<Result<{ applied: ReconcileChange[], report: ChainReport }>>}
+     */
+    const apply = async (reconcilePlan) => {
+        if (!reconcilePlan) {
+            const planned = await plan();
+
+            if (!planned.success)
+                return planned;
+
+            reconcilePlan = planned.data;
+        }
+
+        const report = await toChain(reconcilePlan).run({});
+        const applied = reconcilePlan.changes.filter((_, idx) => report.tasks[idx].status === 'succeeded');
+
+        if (!report.success) {
+            const failedIdx = report.tasks.findIndex(({ status }) => status === 'failed');
+
+            if (failedIdx === -1)
+                return { success: false, error: new GitHubError('Chain was broken before every change was applied.') };
+
+            const failed = reconcilePlan.changes[failedIdx];
+
+            return {
+                success: false,
+                error: toGitHubError(report.tasks[failedIdx].error, {
+                    message: `Failed to apply ${failed.kind} change to ${failed.target}.`
+                })
+            };
+        }
+
+        return { success: true, data: { applied, report } };
+    }
+
+    return { plan, apply, toChain };
+}
+
+/**
+ * @typedef {Object} DesiredRepoState
+ * @property {string} owner
+ * @property {string} repo
+ * @property {Array<{ name: string, from?: string }>} [branches] - Branches that must exist, created from `from`.
+ * @property {Array<{ path: string, content: string, branch?: string, message?: string }>} [files] - Pinned files.
+ * @property {Array<{ key: string, value: string }>} [secrets] - Repository Actions secrets.
+ * @property {Array<{ name: string, value: string }>} [variables] - Repository Actions variables.
+ * @property {Array<{ name: string, color?: string, description?: string }>} [labels]
+ * @property {Array<{ branch: string, settings: Object }>} [branchProtection] - Settings in the shape of the
+ *     "Update branch protection" request.
+ */
+
+/**
+ * @typedef {Object} ReconcileChange
+ * @property {'branch' | 'file' | 'secret' | 'variable' | 'label' | 'branchProtection'} kind
+ * @property {'create' | 'update'} action
+ * @property {string} target - The branch, `branch:path`, secret, variable or label the change applies to.
+ * @property {any} [before] - The current value, where it can be read.
+ * @property {any} [after] - The desired value. Never set for secrets.
+ */
+
+/**
+ * @typedef {Object} ReconcilePlan
+ * @property {string} owner
+ * @property {string} repo
+ * @property {ReconcileChange[]} changes
+ */
+
+/**
+ * @typedef {Object} Reconciler
+ * @property {() => Promise<Result<ReconcilePlan>>} plan
+ * @property {(plan?: ReconcilePlan) => Promise<Result<{ applied: ReconcileChange[], report: ChainReport }>>} apply
+ * @property {(plan: ReconcilePlan, onApplied?: (change: ReconcileChange, result: any) => void) => TaskChain} toChain
+ */
@@ -0,0 +1,74 @@
+// @ts-check
+
+/**
+ * What redacted values are replaced with.
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Keys whose values are never written to plans, fixtures or logs. camelCase keys are matched as snake_case.
+ */
+const SENSITIVE_KEY =
+    /(^|_)(token|password|secret|private_key|encrypted_value|authorization|device_code|code_verifier)$/i;
+
+/**
+ * Keys that only hold secrets next to certain other keys: the value of a secret next to its key or name, and an OAuth
+ * code next to the client it is exchanged for a token by.
+ */
+const CONTEXTUAL_KEYS = new Map([
+    ['value', /^(key|secret_name)$/i],
+    ['code', /^(client_id|client_secret|redirect_uri|code_verifier)$/i]
+]);
+
+/**
+ * Credentials that can turn up in free text, such as error messages: GitHub tokens, JWTs and authorization headers.
+ */
+const SENSITIVE_TEXT = new RegExp([
+    /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_\w{20,}|eyJ[\w-]+\.[\w-]+\.[\w-]+)/.source,
+    /\b((?:token|bearer)\s+)[\w.~+\/-]{20,}=*/.source
+].join('|'), 'gi');
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+const toSnakeCase = (key) => key.replace(/([a-z])([A-Z])/g, '$1_$2');
+
+/**
+ * @param {string} key - A snake_case key.
+ * @param {string[]} siblings - The snake_case keys of the same object.
+ * @returns {boolean}
+ */
+const isSensitiveKey = (key, siblings) => {
+    const context = CONTEXTUAL_KEYS.get(key.toLowerCase());
+
+    return SENSITIVE_KEY.test(key) || (context !== undefined && siblings.some((sibling) => context.test(sibling)));
+}
+
+/**
+ * Replaces the values of sensitive keys, at any depth, with `[REDACTED]`, as well as credentials found in strings.
+ * @param {any} value
+ * @returns {any}
+ */
+const redact = (value) => {
+    if (typeof value === 'string')
+        return value.replace(SENSITIVE_TEXT, (_, prefix = '') => `${prefix}${REDACTED}`);
+
+    if (Array.isArray(value))
+        return value.map(redact);
+
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).map(toSnakeCase);
+
+        return Object.fromEntries(Object.entries(value).map(([key, item], idx) => [
+            key,
+            isSensitiveKey(keys[idx], keys) && item !== null && item !== undefined && typeof item !== 'object' ?
+                REDACTED :
+                redact(item)
+        ]));
+    }
+
+    return value;
+}
+
+export { REDACTED, SENSITIVE_KEY, redact };
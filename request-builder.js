@@ -0,0 +1,666 @@
+// @ts-check
+
+import { MAX_RATE_LIMIT_WAIT, getRateLimitBudget, getRateLimitDelay } from './rate-limit.js';
+import { describeRequest, dryRun, planWrite } from './dry-run.js';
+import {
+    AuthError,
+    NotFoundError,
+    RetryExhaustedError,
+    ValidationError,
+    fromGraphQLErrors,
+    toGitHubError
+} from './errors.js';
+import { log, withLogContext } from './logger.js';
+import { SpanKind, count, record, withSpan } from './telemetry.js';
+import { getCacheKey, getResponseCache } from './response-cache.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+const MAX_RETRIES = 3; // Set retry count
+const INTERVAL = 2000; // 2 seconds
+
+/**
+ * Builds the fluent interface over an immutable request state and retry config; every setter returns a new builder.
+ * @param {RequestState} state
+ * @param {RetryConfig} retryConfig
+ * @returns {RequestBuilder<import('@octokit/core').Octokit>}
+ */
+const buildRequest = (state, retryConfig) => {
+    return {
+        withRetries: maxRetries => {
+            if (typeof maxRetries !== 'number')
+                throw new Error('maxRetries must be a number!');
+
+            return buildRequest(state, { ...retryConfig, maxRetries });
+        },
+        withInterval: interval => {
+            if (typeof interval !== 'number')
+                throw new Error('interval must be a number!');
+
+            return buildRequest(state, { ...retryConfig, interval })
+        },
+        /**
+         * @param {RetryBreaker} callback
+         * @returns {RequestBuilder<import('@octokit/core').Octokit>}
+         */
+        withRetryBreaker: callback => {
+            if (typeof callback !== 'function')
+                throw new Error('callback must be a function!');
+
+            return buildRequest(state, { ...retryConfig, stopRetries: callback })
+        },
+        withMaxRateLimitWait: maxRateLimitWait => {
+            if (typeof maxRateLimitWait !== 'number')
+                throw new Error('maxRateLimitWait must be a number!');
+
+            return buildRequest(state, { ...retryConfig, maxRateLimitWait })
+        },
+        /**
+         * @param {RetryConfig} config
+         * @return {RequestBuilder<import('@octokit/core').Octokit>}
+         */
+        withRetryConfig: config => {
+
+
+            return buildRequest(state, config)
+        },
+        withProperty: propertyName => buildRequest({ ...state, propertyName }, retryConfig),
+        allowPartialData: () => buildRequest({ ...state, allowPartialData: true }, retryConfig),
+        paginate: () => buildRequest({ ...state, paginate: true }, retryConfig),
+        maxItems: maxItems => {
+            if (typeof maxItems !== 'number' || maxItems < 1)
+                throw new Error('maxItems must be a positive number!');
+
+            return buildRequest({ ...state, paginate: true, maxItems }, retryConfig);
+        },
+        dryRun: () => buildRequest({ ...state, dryRun: true }, retryConfig),
+        withoutCache: () => buildRequest({ ...state, cache: false }, retryConfig),
+        /**
+         * @param {import('./logger.js').Logger} logger
+         * @returns {RequestBuilder<import('@octokit/core').Octokit>}
+         */
+        withLogger: logger => {
+            if (typeof logger?.log !== 'function')
+                throw new Error('logger must have a log function!');
+
+            return buildRequest({ ...state, logger }, retryConfig);
+        },
+        asAsyncIterator: octokit => iterateItems(octokit, state, retryConfig),
+        runWith: octokit => {
+            const run = () => state.paginate ?
+                collectItems(octokit, state, retryConfig) :
+                attemptRequest(octokit, state, retryConfig);
+            const send = () => state.dryRun ? dryRun(run).then(({ result }) => result) : run();
+
+            return state.logger ? withLogContext({ logger: state.logger }, send) : send();
+        }
+    };
+}
+
+/**
+ * Creates a request data object.
+ * @param {string | Function} restQuery
+ * @param {Object} queryObject
+ * @returns {RequestBuilder<import('@octokit/core').Octokit>}
+ */
+const createRequest = (restQuery, queryObject) => {
+    const retryConfig = {
+        maxRetries: MAX_RETRIES,
+        interval: INTERVAL,
+        stopRetries: (error) => [error.status === 404, error],
+        maxRateLimitWait: MAX_RATE_LIMIT_WAIT
+    }
+
+    const initialState = {
+        restQuery,
+        queryObject,
+        propertyName: null,
+        paginate: false,
+        maxItems: Infinity,
+        dryRun: false,
+        logger: null,
+        cache: true,
+        graphQL: false,
+        allowPartialData: false
+    };
+
+    return buildRequest(initialState, retryConfig);
+}
+
+/**
+ * Breaker for GraphQL requests: a missing resource, missing permissions or an invalid query will not succeed when
+ * retried. Rate limits wait for the reset before this is asked.
+ * @type {RetryBreaker}
+ */
+const stopGraphQLRetries = (error) => [
+    error instanceof NotFoundError || error instanceof AuthError || error instanceof ValidationError,
+    error
+];
+
+/**
+ * Creates a GraphQL request, with the same builder as `createRequest`.
+ * `withProperty` takes a dotted path into the response data, e.g. `repository.pullRequests.nodes`. A response with
+ * `errors` fails with the typed error for the first one, and its partial data stays on the error's `response`; with
+ * `allowPartialData`, the request succeeds instead as long as there is data at the property path.
+ * To paginate, the query must take a `$cursor: String` variable that it passes as `after`, and the property path must
+ * end at the `nodes` or `edges` of a connection that selects `pageInfo { hasNextPage endCursor }`.
+ * @param {string} query
+ * @param {Object} [variables]
+ * @returns {RequestBuilder<import('@octokit/core').Octokit>}
+ */
+const createGraphQLRequest = (query, variables = {}) => {
+    if (typeof query !== 'string' || !query.trim())
+        throw new Error('query must be a non-empty string!');
+
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables))
+        throw new Error('variables must be an Object!');
+
+    return buildRequest({
+        restQuery: 'POST /graphql',
+        queryObject: { query, variables },
+        propertyName: null,
+        paginate: false,
+        maxItems: Infinity,
+        dryRun: false,
+        logger: null,
+        cache: false,
+        graphQL: true,
+        allowPartialData: false
+    }, {
+        maxRetries: MAX_RETRIES,
+        interval: INTERVAL,
+        stopRetries: stopGraphQLRetries,
+        maxRateLimitWait: MAX_RATE_LIMIT_WAIT
+    });
+}
+
+/**
+ * Executes a callback with retry logic and exponential backoff.
+ * Failures caused by GitHub's primary or secondary rate limits wait until the limit resets, or for the `retry-after`
+ * delay, instead of backing off. If that wait is longer than `maxRateLimitWait`, the failure is returned right away.
+ * Failures from GitHub are returned as typed errors carrying every attempt; once no attempts are left, a
+ * `RetryExhaustedError` is returned with the last failure as its cause.
+ * Retries, rate limit waits and final failures are counted with the meter set by `setTelemetry`.
+ * @callback RunWithRetries
+ * @template T
+ * @param {(attempt: number) => Promise<T>} callback - The async operation to retry on failure, given the number of
+ *     the attempt.
+ * @param {RetryConfig} retryConfig - Retry behaviour configuration.
+ * @returns {Promise<Result<T>>} - Result object containing either the successful data or an error.
+ */
+const runWithRetries = async (callback, retryConfig) => {
+    const { maxRetries, interval, stopRetries, maxRateLimitWait = MAX_RATE_LIMIT_WAIT, onRetry } = retryConfig;
+
+    const attempts = [];
+    let attempt = 1;
+
+    while (attempt <= maxRetries) {
+        const start = Date.now();
+
+        try {
+            return { success: true, data: await callback(attempt) };
+        } catch (e) {
+            const failure = { route: e.route ?? undefined, attempt, duration: Date.now() - start };
+            const attributes = e.route ? { 'github.route': e.route } : {};
+
+            log.warn(`Attempt ${attempt} failed.`, { ...failure, error: e });
+
+            const rateLimit = getRateLimitDelay(e);
+            const [shouldStop, error] = rateLimit ? [false, e] : stopRetries(e);
+            const attemptRecord = { attempt, status: e.status ?? null, message: e.message, delay: null };
+
+            attempts.push(attemptRecord);
+
+            if (shouldStop || attempt >= maxRetries || (rateLimit && rateLimit.delay > maxRateLimitWait))
+                count('failures', attributes);
+
+            if (shouldStop)
+                return { success: false, error: toGitHubError(error, { attempts }) };
+
+            if (attempt >= maxRetries) {
+                const last = toGitHubError(e, { attempts });
+
+                return {
+                    success: false,
+                    error: new RetryExhaustedError(`Request failed after ${maxRetries} attempts`, {
+                        status: last.status ?? null,
+                        requestID: last.requestID ?? null,
+                        route: last.route ?? null,
+                        response: last.response,
+                        attempts,
+                        cause: last
+                    })
+                };
+            }
+
+            if (rateLimit && rateLimit.delay > maxRateLimitWait) {
+                log.error(
+                    `Rate limit resets in ${rateLimit.delay / 1000} seconds, which is longer than allowed.`,
+                    failure
+                );
+
+                return { success: false, error: toGitHubError(e, { attempts }) };
+            }
+
+            const delay = rateLimit ? rateLimit.delay : interval * 2 ** (attempt - 1);
+
+            attemptRecord.delay = delay;
+            count('retries', attributes);
+
+            if (rateLimit)
+                count('rateLimitWaits', { ...attributes, 'github.rate_limit': rateLimit.type });
+
+            log.info(rateLimit ?
+                `Hit ${rateLimit.type} rate limit. Retrying in ${delay / 1000} seconds.` :
+                `Retrying in ${delay / 1000} seconds.`, failure);
+            onRetry?.(attempt + 1, delay, e);
+            await new Promise((res) => setTimeout(res, delay));
+            attempt++;
+        }
+    }
+}
+
+/**
+ * Builds what a write that was planned instead of sent resolves to. Its response is never known, so a property of it is
+ * stood in for by a placeholder that names the write, e.g. `<sha of planned POST /repos/{owner}/{repo}/git/blobs>`.
+ * @param {import('./dry-run.js').PlannedWrite} plannedWrite
+ * @param {RequestState} requestData - The request config.
+ * @returns {any}
+ */
+const toPlannedData = (plannedWrite, requestData) => requestData.propertyName ?
+    `<${requestData.propertyName} of planned ${plannedWrite.method} ${plannedWrite.route}>` :
+    { dryRun: true, ...plannedWrite };
+
+/**
+ * Attempts a typed Octokit request using a retry wrapper.
+ * In dry-run mode a write is planned once, before any attempt, since there is nothing to retry.
+ * @callback AttemptRequest
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {RequestState} requestData - The request config.
+ * @param {RetryConfig} retryConfig - Retry behaviour configuration.
+ * @returns {Promise<Result<any>>} - Result object wrapping the request response or error.
+ */
+const attemptRequest = async (octokit, requestData, retryConfig) => {
+    const plannedWrite = planWrite(octokit, requestData.restQuery, requestData.queryObject);
+
+    if (plannedWrite)
+        return { success: true, data: toPlannedData(plannedWrite, requestData) };
+
+    return runWithRetries((attempt) => request(octokit, requestData, attempt), retryConfig);
+}
+
+/**
+ * Iterates over the items of a paginated list endpoint, following the `Link` headers from page to page.
+ * Every page is fetched with the builder's retry config; a page that still fails ends the iteration with its error.
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {RequestState} requestData - The request config.
+ * @param {RetryConfig} retryConfig - Retry behaviour configuration.
+ * @returns {AsyncGenerator<any>}
+ */
+async function* iterateItems(octokit, requestData, retryConfig) {
+    if (requestData.graphQL)
+        getConnectionPath(requestData.propertyName);
+
+    let url = null;
+    let count = 0;
+
+    do {
+        const page = await runWithRetries((attempt) => requestPage(octokit, requestData, url, attempt), retryConfig);
+
+        if (!page.success)
+            throw page.error;
+
+        for (const item of page.data.items) {
+            if (count >= requestData.maxItems)
+                return;
+
+            count++;
+            yield item;
+        }
+
+        url = page.data.next;
+    } while (url && count < requestData.maxItems);
+}
+
+/**
+ * Collects the items of every page of a paginated list endpoint.
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {RequestState} requestData - The request config.
+ * @param {RetryConfig} retryConfig - Retry behaviour configuration.
+ * @returns {Promise<Result<any[]>>} - Result object wrapping the collected items or the error of the failed page.
+ */
+const collectItems = async (octokit, requestData, retryConfig) => {
+    const items = [];
+
+    try {
+        for await (const item of iterateItems(octokit, requestData, retryConfig))
+            items.push(item);
+    } catch (e) {
+        return { success: false, error: e };
+    }
+
+    return { success: true, data: items };
+}
+
+/**
+ * Reads a dotted property path, e.g. `repository.pullRequests.nodes`.
+ * @param {any} target
+ * @param {string} path
+ * @returns {any} `undefined` if any part of the path is missing.
+ */
+const readPath = (target, path) => path.split('.').reduce((value, key) => value?.[key], target);
+
+/**
+ * Gets the path of the connection whose `nodes` or `edges` a GraphQL property path points at.
+ * @param {string | null} propertyName
+ * @returns {string}
+ * @throws {Error} If the path does not end at `nodes` or `edges`.
+ */
+const getConnectionPath = (propertyName) => {
+    const match = propertyName?.match(/^(.+)\.(nodes|edges)$/);
+
+    if (!match)
+        throw new Error('Paginating a GraphQL request needs a property path that ends at nodes or edges!');
+
+    return match[1];
+}
+
+/**
+ * Reads the data of a GraphQL response at the request's property path.
+ * @param {any} response - The Octokit response.
+ * @param {RequestState} requestData - The request config.
+ * @returns {any}
+ * @throws {import('./errors.js').GitHubError} If the response has errors and no usable partial data.
+ * @throws {Error} If the property path is not found in the response.
+ */
+const readGraphQLData = (response, requestData) => {
+    if (response.data?.dryRun)
+        return response.data;
+
+    const { data = null, errors = [] } = response.data ?? {};
+    const value = requestData.propertyName ? readPath(data, requestData.propertyName) : data;
+
+    if (errors.length) {
+        const error = fromGraphQLErrors(errors, { response });
+
+        if (!requestData.allowPartialData || value === undefined || value === null)
+            throw error;
+
+        log.warn('GraphQL request returned partial data.', { route: 'POST /graphql', error });
+    }
+
+    if (requestData.propertyName && value === undefined)
+        throw new Error(`Property "${requestData.propertyName}" not found in response.`);
+
+    return value;
+}
+
+/**
+ * Fetches one page of a GraphQL connection, passing the cursor of the previous page as the `cursor` variable.
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {RequestState} requestData - The request config.
+ * @param {string | null} cursor - The end cursor of the previous page, or `null` for the first page.
+ * @param {number} attempt - Starting at 1.
+ * @returns {Promise<{ items: any[], next: string | null }>}
+ * @throws {Error} If the property path does not point at a list.
+ */
+const requestGraphQLPage = async (octokit, requestData, cursor, attempt) => {
+    const { query, variables } = requestData.queryObject;
+    const response = await sendRequest(octokit, requestData.restQuery, {
+        query,
+        variables: { ...variables, cursor }
+    }, { attempt, cache: false });
+
+    const items = readGraphQLData(response, requestData);
+
+    if (!Array.isArray(items))
+        throw new Error(`Property "${requestData.propertyName}" is not a list.`);
+
+    const pageInfo = readPath(response.data.data, getConnectionPath(requestData.propertyName))?.pageInfo;
+
+    return { items, next: pageInfo?.hasNextPage ? pageInfo.endCursor : null };
+}
+
+/**
+ * Fetches one page of a list endpoint.
+ * List endpoints either return an array or wrap it in an object next to `total_count`. The array is taken from the
+ * property set with `withProperty`, or otherwise from the only array in the response.
+ * GraphQL requests are paged with cursors instead, and `url` holds the cursor.
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {RequestState} requestData - The request config.
+ * @param {string | null} url - The URL of the page, or `null` for the first page.
+ * @param {number} [attempt] - Starting at 1.
+ * @returns {Promise<{ items: any[], next: string | null }>}
+ * @throws {Error} If the response does not contain a list.
+ */
+const requestPage = async (octokit, requestData, url, attempt = 1) => {
+    if (requestData.graphQL)
+        return requestGraphQLPage(octokit, requestData, url, attempt);
+
+    const response = url ?
+        await sendRequest(octokit, `GET ${url}`, { headers: requestData.queryObject?.headers }, {
+            attempt,
+            cache: requestData.cache
+        }) :
+        await sendRequest(octokit, requestData.restQuery, { per_page: 100, ...requestData.queryObject }, {
+            attempt,
+            cache: requestData.cache
+        });
+
+    const data = requestData.propertyName ? response.data?.[requestData.propertyName] : response.data;
+    const items = Array.isArray(data) ? data : Object.values(data ?? {}).find(Array.isArray);
+
+    if (!items)
+        throw new Error(requestData.propertyName ?
+            `Property "${requestData.propertyName}" is not a list.` :
+            'Response does not contain a list.');
+
+    const next = response.headers?.link?.match(/<([^>]+)>;\s*rel="next"/)?.[1] ?? null;
+
+    return { items, next };
+}
+
+/**
+ * Executes a GitHub REST request via Octokit with optional property extraction.
+ *
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {RequestState} requestData - The request configuration.
+ * @param {number} [attempt] - Starting at 1.
+ * @returns {Promise<any>} The response data or a specific property from the response.
+ * @throws {Error} If a propertyName is specified but not found in the response.
+ */
+const request = async (octokit, requestData, attempt = 1) => {
+    const response = await sendRequest(octokit, requestData.restQuery, requestData.queryObject, {
+        attempt,
+        cache: requestData.cache
+    });
+
+    if (requestData.graphQL)
+        return readGraphQLData(response, requestData);
+
+    const data = requestData.propertyName ? response.data?.[requestData.propertyName] : response.data;
+
+    if (requestData.propertyName && data === undefined)
+        throw new Error(`Property "${requestData.propertyName}" not found in response.`);
+
+    return data;
+}
+
+/**
+ * Runs an action on a response cache. A cache that fails is logged and otherwise ignored, so it never fails a request.
+ * @template T
+ * @param {() => Promise<T>} action
+ * @returns {Promise<T | null>}
+ */
+const useCache = async (action) => {
+    try {
+        return await action();
+    } catch (e) {
+        log.warn('Response cache failed.', { error: e });
+
+        return null;
+    }
+}
+
+/**
+ * Sends a request via Octokit and returns the full response.
+ * The request waits for the rate limit budget of the Octokit instance and records the rate limit headers it gets back.
+ * In dry-run mode a write is only recorded, and its response carries the planned write as data.
+ * Every request that is sent is traced as a client span and its duration is recorded.
+ *
+ * GET requests are made conditional with the Octokit's response cache: a cached response is revalidated with its
+ * ETag or Last-Modified value, and returned when GitHub answers 304. A successful write drops the cached responses
+ * for the resource it touched.
+ * @param {FullOctokit} octokit - An authenticated Octokit instance.
+ * @param {string | Function} restQuery - A route or an `octokit.rest` method.
+ * @param {Object} queryObject - The request parameters.
+ * @param {{ attempt?: number, cache?: boolean }} [options] - The number of the attempt, starting at 1, and whether
+ *     to use the response cache, which defaults to true.
+ * @returns {Promise<any>} The Octokit response.
+ * @throws {import('./errors.js').GitHubError} A typed error for failed requests.
+ */
+const sendRequest = async (octokit, restQuery, queryObject, { attempt = 1, cache: cacheEnabled = true } = {}) => {
+    const plannedWrite = planWrite(octokit, restQuery, queryObject);
+
+    if (plannedWrite)
+        return { status: 202, headers: {}, data: { dryRun: true, ...plannedWrite } };
+
+    const budget = getRateLimitBudget(octokit);
+
+    await budget.wait();
+
+    const { method, route } = describeRequest(restQuery);
+    const attributes = { 'http.request.method': method, 'url.template': route };
+    const cache = cacheEnabled ? getResponseCache(octokit) : null;
+    // `octokit.rest` methods can build their endpoint.
+    const endpoint = cache ? typeof restQuery === 'function' ?
+        /** @type {{ endpoint: FullOctokit['request']['endpoint'] }} */ (restQuery).endpoint(queryObject) :
+        octokit.request.endpoint(restQuery, queryObject) : null;
+    const cacheKey = endpoint && method === 'GET' ? getCacheKey(endpoint) : null;
+    const cached = cacheKey ? await useCache(() => cache.lookup(cacheKey)) : null;
+    const conditions = cached ?
+        cached.etag ? { 'if-none-match': cached.etag } : { 'if-modified-since': cached.lastModified } :
+        {};
+    const sentQuery = cached ? { ...queryObject, headers: { ...queryObject?.headers, ...conditions } } : queryObject;
+
+    return withSpan(`${method} ${route}`, {
+        kind: SpanKind.CLIENT,
+        attributes: { ...attributes, ...(attempt > 1 ? { 'http.request.resend_count': attempt - 1 } : {}) }
+    }, async (span) => {
+        const start = Date.now();
+        let response;
+        let fromCache = false;
+
+        try {
+            response = typeof restQuery === 'function' ?
+                await restQuery.call(octokit.rest, sentQuery) :
+                await octokit.request(restQuery, sentQuery);
+        } catch (e) {
+            budget.update(e.response?.headers);
+
+            if (cached && e.status === 304) {
+                response = {
+                    status: 200,
+                    url: endpoint.url,
+                    headers: { ...cached.headers, ...e.response?.headers },
+                    data: structuredClone(cached.data)
+                };
+                fromCache = true;
+            } else {
+                const rateLimit = getRateLimitDelay(e);
+
+                if (rateLimit?.type === 'secondary')
+                    budget.pause(rateLimit.delay);
+
+                const error = toGitHubError(e, { route: `${method} ${route}` });
+
+                record('requestDuration', (Date.now() - start) / 1000, {
+                    ...attributes,
+                    ...(e.status ? { 'http.response.status_code': e.status } : {}),
+                    'error.type': error.name
+                });
+
+                if (e.status)
+                    span.setAttribute('http.response.status_code', e.status);
+
+                throw error;
+            }
+        }
+
+        const duration = Date.now() - start;
+        const status = fromCache ? 304 : response.status;
+
+        budget.update(response.headers);
+
+        if (cacheKey && !fromCache)
+            await useCache(() => cache.save(cacheKey, response));
+        else if (endpoint && method !== 'GET' && method !== 'HEAD')
+            await useCache(() => cache.invalidate(endpoint.url));
+
+        span.setAttributes({ 'http.response.status_code': status, 'octokit_wrapper.cache_hit': fromCache });
+        record('requestDuration', duration / 1000, { ...attributes, 'http.response.status_code': status });
+        log.debug(`${method} ${route} returned ${status}.`, { route: `${method} ${route}`, status, duration });
+
+        return response;
+    });
+}
+
+export { createRequest, createGraphQLRequest, runWithRetries };
+
+/**
+ * @template T
+ * @typedef {Object} RequestBuilder
+ * @property {(maxRetries: number) => RequestBuilder<T>} withRetries
+ * @property {(interval: number) => RequestBuilder<T>} withInterval
+ * @property {(callback: RetryBreaker) => RequestBuilder<T>} withRetryBreaker
+ * @property {(maxRateLimitWait: number) => RequestBuilder<T>} withMaxRateLimitWait
+ * @property {(config: RetryConfig) => RequestBuilder<T>} withRetryConfig
+ * @property {(propertyName: string) => RequestBuilder<T>} withProperty - For GraphQL requests, a dotted path.
+ * @property {() => RequestBuilder<T>} allowPartialData - Lets a GraphQL request with errors succeed if there is data
+ *     at the property path.
+ * @property {() => RequestBuilder<T>} paginate - Makes `runWith` collect the items of every page.
+ * @property {(maxItems: number) => RequestBuilder<T>} maxItems - Paginates, stopping after the given number of items.
+ * @property {() => RequestBuilder<T>} dryRun - Records the request instead of sending it, if it is a write.
+ * @property {() => RequestBuilder<T>} withoutCache - Neither uses nor fills the Octokit's response cache.
+ * @property {(logger: import('./logger.js').Logger) => RequestBuilder<T>} withLogger - Logs the request through this
+ *     logger instead of the global one; applies to `runWith`.
+ * @property {(octokit: T) => AsyncGenerator<*>} asAsyncIterator - Iterates over the items of every page.
+ * @property {(octokit: T) => Promise<*>} runWith
+ */
+
+/**
+ * @callback RetryBreaker
+ * @param {Error} error
+ * @returns {[Boolean, Error]}
+ */
+
+/**
+ * @typedef {Object} RetryConfig
+ * @property {number} maxRetries - How many attempts to make in total.
+ * @property {number} interval - The delay before the first retry in milliseconds, doubled on every retry.
+ * @property {RetryBreaker} stopRetries - Decides whether an error is final.
+ * @property {number} [maxRateLimitWait] - The longest to wait for a rate limit to reset in milliseconds.
+ * @property {(attempt: number, delay: number, error: Error) => void} [onRetry] - Called with the number of the next
+ *     attempt before waiting `delay` milliseconds for it.
+ */
+
+/**
+ * @typedef {Object} RequestState
+ * @property {string | Function} restQuery - A route or an `octokit.rest` method.
+ * @property {Object} queryObject - The request parameters.
+ * @property {string | null} propertyName - The property to extract from the response.
+ * @property {boolean} paginate - Whether to follow the pages of a list endpoint.
+ * @property {number} maxItems - The most items to collect when paginating.
+ * @property {boolean} dryRun - Whether a write is recorded instead of sent.
+ * @property {import('./logger.js').Logger | null} logger - The logger for this request, if not the global one.
+ * @property {boolean} cache - Whether GET requests are revalidated with the response cache.
+ * @property {boolean} graphQL - Whether `queryObject` holds a GraphQL `query` and its `variables`.
+ * @property {boolean} allowPartialData - Whether a GraphQL response with errors may succeed with its partial data.
+ */
\ No newline at end of file
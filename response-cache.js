@@ -0,0 +1,158 @@
+// @ts-check
+
+/**
+ * Response headers that are kept with a cached response.
+ */
+const KEPT_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+
+const caches = new WeakMap();
+
+/**
+ * Creates an in-memory store that keeps the most recently used responses.
+ * @param {{ maxEntries?: number }} [options] - How many responses to keep, defaults to 500.
+ * @returns {ResponseCacheStore}
+ */
+export const createLruStore = ({ maxEntries = 500 } = {}) => {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1)
+        throw new Error('maxEntries must be a positive integer!');
+
+    const entries = new Map();
+
+    return {
+        get: (key) => {
+            if (!entries.has(key))
+                return undefined;
+
+            // Re-inserting moves the entry to the end, which is the most recently used.
+            const entry = entries.get(key);
+
+            entries.delete(key);
+            entries.set(key, entry);
+
+            return entry;
+        },
+        set: (key, entry) => {
+            entries.delete(key);
+            entries.set(key, entry);
+
+            if (entries.size > maxEntries)
+                entries.delete(entries.keys().next().value);
+        },
+        delete: (key) => {
+            entries.delete(key);
+        },
+        keys: () => [...entries.keys()]
+    };
+}
+
+/**
+ * Creates a cache for conditional requests. GET responses with an `ETag` or `Last-Modified` header are stored, and
+ * sent again as `If-None-Match` or `If-Modified-Since`, so an unchanged resource is answered with a 304 that does not
+ * count against the rate limit.
+ * @param {{ store?: ResponseCacheStore }} [options] - Where to keep responses, defaults to an in-memory LRU store.
+ *     A store may be synchronous or return promises.
+ * @returns {ResponseCache}
+ */
+export const createResponseCache = ({ store = createLruStore() } = {}) => {
+    if (['get', 'set', 'delete', 'keys'].some((name) => typeof store?.[name] !== 'function'))
+        throw new Error('store must have get, set, delete and keys functions!');
+
+    return {
+        lookup: async (key) => (await store.get(key)) ?? null,
+        save: async (key, response) => {
+            const etag = response.headers?.etag ?? null;
+            const lastModified = response.headers?.['last-modified'] ?? null;
+
+            if (!etag && !lastModified)
+                return;
+
+            await store.set(key, {
+                etag,
+                lastModified,
+                headers: Object.fromEntries(
+                    KEPT_HEADERS.filter((name) => response.headers[name] !== undefined)
+                        .map((name) => [name, response.headers[name]])
+                ),
+                data: structuredClone(response.data)
+            });
+        },
+        invalidate: async (url) => {
+            const path = toResourcePath(url);
+
+            for (const key of await store.keys()) {
+                const cachedPath = toResourcePath(key.split(' ')[1]);
+
+                if (cachedPath === path || path.startsWith(`${cachedPath}/`))
+                    await store.delete(key);
+            }
+        },
+        clear: async () => {
+            for (const key of await store.keys())
+                await store.delete(key);
+        }
+    };
+}
+
+/**
+ * Reduces a URL to the resource it names, so writes can be matched to cached reads. The query is dropped, escaped
+ * slashes are unescaped, and `git/refs/...`, which is written to, is read from as `git/ref/...`.
+ * @param {string} url
+ * @returns {string}
+ */
+const toResourcePath = (url) => decodeURIComponent(new URL(url, 'https://api.github.com').pathname)
+    .replace(/\/git\/refs\//, '/git/ref/')
+    .replace(/\/+$/, '');
+
+/**
+ * Builds the key a request is cached under. Requests for another media type are cached separately.
+ * @param {{ method: string, url: string, headers?: Object<string, string> }} endpoint - As built by Octokit.
+ * @returns {string}
+ */
+export const getCacheKey = ({ method, url, headers = {} }) => `${method} ${url} ${headers.accept ?? ''}`;
+
+/**
+ * Gets the response cache of an Octokit instance, creating one with the default store if needed.
+ * @param {object} octokit
+ * @returns {ResponseCache | null} `null` if caching was turned off for the Octokit.
+ */
+export const getResponseCache = (octokit) => {
+    if (!caches.has(octokit))
+        caches.set(octokit, createResponseCache());
+
+    return caches.get(octokit);
+}
+
+/**
+ * Replaces the response cache of an Octokit instance, e.g. to use another store. `null` turns caching off.
+ * @param {object} octokit
+ * @param {ResponseCache | null} cache
+ */
+export const setResponseCache = (octokit, cache) => {
+    caches.set(octokit, cache);
+}
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {string | null} etag
+ * @property {string | null} lastModified
+ * @property {Object<string, string>} headers
+ * @property {any} data
+ */
+
+/**
+ * @typedef {Object} ResponseCacheStore
+ * @property {(key: string) => CachedResponse | undefined | Promise<CachedResponse | undefined>} get
+ * @property {(key: string, entry: CachedResponse) => void | Promise<void>} set
+ * @property {(key: string) => void | Promise<void>} delete
+ * @property {() => string[] | Promise<string[]>} keys
+ */
+
+/**
+ * @typedef {Object} ResponseCache
+ * @property {(key: string) => Promise<CachedResponse | null>} lookup
+ * @property {(key: string, response: { headers: Object<string, any>, data: any }) => Promise<void>} save - Keeps the
+ *     response if it can be revalidated.
+ * @property {(url: string) => Promise<void>} invalidate - Drops the responses for the resource at the URL and the
+ *     resources it is part of, e.g. the directory of a file that was written.
+ * @property {() => Promise<void>} clear
+ */
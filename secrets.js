@@ -0,0 +1,270 @@
+// @ts-check
+
+import sodium from 'libsodium-wrappers';
+import { createSodiumProvider } from './sodium-provider.js';
+import { createRequest } from './request-builder.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+/**
+ * @typedef {() => Promise<typeof import('libsodium-wrappers')>} GetSodium
+ */
+
+/**
+ * Gets a ready-to-use sodium instance.
+ * @type {GetSodium}
+ */
+const getSodium = createSodiumProvider(sodium);
+
+/**
+ * Encrypts a token using a given public key via libsodium sealed boxes.
+ *
+ * @param {string} publicKey - The base64-encoded public key from GitHub Actions.
+ * @param {string} token - The plaintext token to encrypt.
+ * @returns {Promise<string>} The encrypted value, base64-encoded.
+ */
+const encrypt = async (publicKey, token) => {
+    const sodium = await getSodium();
+
+    const binaryKey = sodium.from_base64(
+        publicKey,
+        sodium.base64_variants.ORIGINAL
+    );
+    const binaryToken = sodium.from_string(token);
+
+    const encrypted = sodium.crypto_box_seal(binaryToken, binaryKey);
+
+    return sodium.to_base64(
+        encrypted,
+        sodium.base64_variants.ORIGINAL
+    );
+}
+
+/**
+ * Breaker for deletes: a secret that is already gone needs no retrying.
+ * @type {import('./request-builder.js').RetryBreaker}
+ */
+const stopOnMissing = (error) => [error.status === 404, error];
+
+/**
+ * Resolves the route prefix and route parameters of a secrets scope.
+ * @param {SecretScope} scope
+ * @returns {{ path: string, params: Object }}
+ */
+const resolveScope = (scope) => {
+    const { type, app = 'actions' } = scope;
+
+    if (!['actions', 'dependabot', 'codespaces'].includes(app))
+        throw new Error(`Unknown secrets app "${app}"!`);
+
+    switch (type) {
+        case 'repo':
+            return {
+                path: `/repos/{owner}/{repo}/${app}/secrets`,
+                params: { owner: scope.owner, repo: scope.repo }
+            };
+        case 'org':
+            return { path: `/orgs/{org}/${app}/secrets`, params: { org: scope.org } };
+        case 'environment':
+            if (app !== 'actions')
+                throw new Error('Environment secrets are only available to actions!');
+
+            return {
+                path: '/repos/{owner}/{repo}/environments/{environment_name}/secrets',
+                params: { owner: scope.owner, repo: scope.repo, environment_name: scope.environment }
+            };
+        default:
+            throw new Error(`Unknown secrets scope "${type}"!`);
+    }
+}
+
+/**
+ * Describes a scope for log messages.
+ * @param {SecretScope} scope
+ * @returns {string}
+ */
+const describeScope = (scope) => {
+    const { type, app = 'actions' } = scope;
+    const target = type === 'org' ? scope.org : `${scope.owner}/${scope.repo}`;
+
+    return type === 'environment' ? `${app} secrets of ${target} (${scope.environment})` : `${app} secrets of ${target}`;
+}
+
+/**
+ * Gets the public key used to encrypt secrets for a scope.
+ * @callback GetSecretsPublicKey
+ * @param {FullOctokit} octokit
+ * @param {SecretScope} scope
+ * @returns {Promise<Result<{ key: string, key_id: string }>>}
+ */
+const getSecretsPublicKey = async (octokit, scope) => {
+    const { path, params } = resolveScope(scope);
+
+    return createRequest(`GET ${path}/public-key`, params).runWith(octokit);
+}
+
+/**
+ * Lists the secrets of a scope. Only names and metadata are returned, never values.
+ * @callback ListSecrets
+ * @param {FullOctokit} octokit
+ * @param {SecretScope} scope
+ * @returns {Promise<Result<Array<{ name: string, created_at: string, updated_at: string, visibility?: string }>>>}
+ */
+const listSecrets = async (octokit, scope) => {
+    const { path, params } = resolveScope(scope);
+
+    return createRequest(`GET ${path}`, params).withProperty('secrets').paginate().runWith(octokit);
+}
+
+/**
+ * Creates or updates secrets in a scope.
+ * Organization secrets are visible to the repositories chosen by the secret's `visibility` and
+ * `selectedRepositoryIds`, falling back to the ones of the scope.
+ * @callback SetSecrets
+ * @param {FullOctokit} octokit
+ * @param {SecretScope} scope
+ * @param {SecretData[]} secrets
+ * @returns {Promise<Result<{ created: string[], updated: string[] }>>} The names of the secrets that were written.
+ */
+const setSecrets = async (octokit, scope, secrets) => {
+    const { path, params } = resolveScope(scope);
+
+    const publicKey = await getSecretsPublicKey(octokit, scope);
+
+    if (!publicKey.success)
+        return publicKey;
+
+    const existing = await listSecrets(octokit, scope);
+
+    if (!existing.success)
+        return existing;
+
+    const existingNames = existing.data.map((secret) => secret.name.toUpperCase());
+    const report = { created: [], updated: [] };
+
+    log.info(`Attempting to store ${describeScope(scope)}.`, { operation: 'setSecrets' });
+
+    for (const secret of secrets) {
+        const queryObject = {
+            ...params,
+            secret_name: secret.key,
+            encrypted_value: await encrypt(publicKey.data.key, secret.value),
+            key_id: publicKey.data.key_id
+        };
+
+        if (scope.type === 'org') {
+            const visibility = secret.visibility ?? scope.visibility ?? 'private';
+
+            queryObject.visibility = visibility;
+
+            if (visibility === 'selected')
+                queryObject.selected_repository_ids = secret.selectedRepositoryIds ?? scope.selectedRepositoryIds ?? [];
+        }
+
+        const response = await createRequest(`PUT ${path}/{secret_name}`, queryObject).runWith(octokit);
+
+        if (!response.success)
+            return response;
+
+        report[existingNames.includes(secret.key.toUpperCase()) ? 'updated' : 'created'].push(secret.key);
+    }
+
+    return { success: true, data: report };
+}
+
+/**
+ * Deletes a secret from a scope. Deleting a secret that does not exist is not an error.
+ * @callback DeleteSecret
+ * @param {FullOctokit} octokit
+ * @param {SecretScope} scope
+ * @param {string} name
+ * @returns {Promise<Result<boolean>>} Whether the secret existed.
+ */
+const deleteSecret = async (octokit, scope, name) => {
+    const { path, params } = resolveScope(scope);
+
+    const response = await createRequest(`DELETE ${path}/{secret_name}`, { ...params, secret_name: name })
+        .withRetryBreaker(stopOnMissing)
+        .runWith(octokit);
+
+    if (!response.success)
+        return response.error.status === 404 ? { success: true, data: false } : response;
+
+    return { success: true, data: true };
+}
+
+/**
+ * Makes the secrets of a scope match the desired list: every given secret is written, and every other secret in the
+ * scope is deleted.
+ * @callback SyncSecrets
+ * @param {FullOctokit} octokit
+ * @param {SecretScope} scope
+ * @param {SecretData[]} secrets
+ * @returns {Promise<Result<{ created: string[], updated: string[], deleted: string[] }>>}
+ */
+const syncSecrets = async (octokit, scope, secrets) => {
+    const written = await setSecrets(octokit, scope, secrets);
+
+    if (!written.success)
+        return written;
+
+    const existing = await listSecrets(octokit, scope);
+
+    if (!existing.success)
+        return existing;
+
+    const desired = secrets.map((secret) => secret.key.toUpperCase());
+    const deleted = [];
+
+    for (const { name } of existing.data) {
+        if (desired.includes(name.toUpperCase()))
+            continue;
+
+        const response = await deleteSecret(octokit, scope, name);
+
+        if (!response.success)
+            return response;
+
+        deleted.push(name);
+    }
+
+    return { success: true, data: { ...written.data, deleted } };
+}
+
+export {
+    getSodium,
+    encrypt,
+    getSecretsPublicKey,
+    listSecrets,
+    setSecrets,
+    deleteSecret,
+    syncSecrets
+};
+
+/**
+ * @typedef {Object} SecretScope
+ * @property {'repo' | 'org' | 'environment'} type
+ * @property {'actions' | 'dependabot' | 'codespaces'} [app] - Which secrets to manage, defaults to `actions`.
+ * @property {string} [owner] - The repository owner, for repository and environment scopes.
+ * @property {string} [repo] - The repository name, for repository and environment scopes.
+ * @property {string} [org] - The organization, for organization scopes.
+ * @property {string} [environment] - The environment name, for environment scopes.
+ * @property {'all' | 'private' | 'selected'} [visibility] - Default visibility of organization secrets.
+ * @property {number[]} [selectedRepositoryIds] - Default repositories for `selected` organization secrets.
+ */
+
+/**
+ * @typedef {Object} SecretData
+ * @property {string} key
+ * @property {string} value
+ * @property {'all' | 'private' | 'selected'} [visibility] - Organization secrets only.
+ * @property {number[]} [selectedRepositoryIds] - Organization secrets with `selected` visibility only.
+ */
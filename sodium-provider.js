@@ -1,13 +1,15 @@
+import { log } from './logger.js';
+
 export const createSodiumProvider = sodiumLib => {
     let ready = false;
 
     return async () => {
         if (!ready) {
-            console.log('Preparing sodium');
+            log.debug('Preparing sodium.', { operation: 'getSodium' });
 
             await sodiumLib.ready;
 
-            console.log('sodium ready');
+            log.debug('sodium ready.', { operation: 'getSodium' });
 
             ready = true;
         }
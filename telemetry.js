@@ -0,0 +1,183 @@
+// @ts-check
+
+/**
+ * The OpenTelemetry span status codes.
+ */
+const SpanStatusCode = Object.freeze({ UNSET: 0, OK: 1, ERROR: 2 });
+
+/**
+ * The OpenTelemetry span kinds used here.
+ */
+const SpanKind = Object.freeze({ INTERNAL: 0, CLIENT: 2 });
+
+/** @type {Span} */
+const NOOP_SPAN = Object.freeze({
+    setAttribute: () => NOOP_SPAN,
+    setAttributes: () => NOOP_SPAN,
+    setStatus: () => NOOP_SPAN,
+    recordException: () => {},
+    end: () => {}
+});
+
+/** @type {Tracer} */
+const NOOP_TRACER = Object.freeze({
+    startActiveSpan: (name, options, callback) => callback(NOOP_SPAN)
+});
+
+/** @type {Meter} */
+const NOOP_METER = Object.freeze({
+    createCounter: () => ({ add: () => {} }),
+    createHistogram: () => ({ record: () => {} })
+});
+
+/**
+ * The instruments recorded, by name.
+ */
+const INSTRUMENTS = {
+    retries: {
+        type: 'counter',
+        name: 'octokit_wrapper.retries',
+        options: { description: 'Failed attempts that are retried.' }
+    },
+    rateLimitWaits: {
+        type: 'counter',
+        name: 'octokit_wrapper.rate_limit.waits',
+        options: { description: 'Waits for a rate limit to reset.' }
+    },
+    failures: {
+        type: 'counter',
+        name: 'octokit_wrapper.failures',
+        options: { description: 'Operations that failed after their last attempt.' }
+    },
+    requestDuration: {
+        type: 'histogram',
+        name: 'http.client.request.duration',
+        options: { description: 'Duration of HTTP requests to GitHub.', unit: 's' }
+    }
+};
+
+let tracer = NOOP_TRACER;
+let meter = NOOP_METER;
+const instrumentCache = new WeakMap();
+
+/**
+ * Sets the tracer and meter spans and metrics are recorded with. Any object with the OpenTelemetry `Tracer` or
+ * `Meter` interface works, e.g. `trace.getTracer('octokit-wrapper')` from `@opentelemetry/api`. `null` turns
+ * recording off again.
+ * @param {{ tracer?: Tracer | null, meter?: Meter | null }} telemetry - Only the given ones are replaced.
+ */
+const setTelemetry = (telemetry) => {
+    if (telemetry.tracer !== undefined && telemetry.tracer !== null &&
+        typeof telemetry.tracer.startActiveSpan !== 'function')
+        throw new Error('tracer must have a startActiveSpan function!');
+
+    if (telemetry.meter !== undefined && telemetry.meter !== null &&
+        (typeof telemetry.meter.createCounter !== 'function' || typeof telemetry.meter.createHistogram !== 'function'))
+        throw new Error('meter must have createCounter and createHistogram functions!');
+
+    if (telemetry.tracer !== undefined)
+        tracer = telemetry.tracer ?? NOOP_TRACER;
+
+    if (telemetry.meter !== undefined)
+        meter = telemetry.meter ?? NOOP_METER;
+}
+
+/**
+ * Gets an instrument of the current meter, creating it the first time.
+ * @param {keyof INSTRUMENTS} key
+ * @returns {{ add?: Function, record?: Function }}
+ */
+const getInstrument = (key) => {
+    if (!instrumentCache.has(meter))
+        instrumentCache.set(meter, new Map());
+
+    const instruments = instrumentCache.get(meter);
+
+    if (!instruments.has(key)) {
+        const { type, name, options } = INSTRUMENTS[key];
+
+        instruments.set(key, type === 'counter' ?
+            meter.createCounter(name, options) :
+            meter.createHistogram(name, options));
+    }
+
+    return instruments.get(key);
+}
+
+/**
+ * Adds to a counter.
+ * @param {'retries' | 'rateLimitWaits' | 'failures'} key
+ * @param {Attributes} [attributes]
+ */
+const count = (key, attributes = {}) => getInstrument(key).add(1, attributes);
+
+/**
+ * Records a value in a histogram.
+ * @param {'requestDuration'} key
+ * @param {number} value
+ * @param {Attributes} [attributes]
+ */
+const record = (key, value, attributes = {}) => getInstrument(key).record(value, attributes);
+
+/**
+ * Marks a span as failed.
+ * @param {Span} span
+ * @param {any} error
+ */
+const failSpan = (span, error) => {
+    if (error instanceof Error)
+        span.recordException(error);
+
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error?.message ?? String(error) });
+}
+
+/**
+ * Runs a callback in a new active span, so spans started inside it become its children. The span ends when the
+ * callback settles, and is marked as failed if it throws.
+ * @template T
+ * @param {string} name
+ * @param {{ kind?: number, attributes?: Attributes }} options
+ * @param {(span: Span) => Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+const withSpan = (name, options, callback) => tracer.startActiveSpan(name, options, async (span) => {
+    try {
+        return await callback(span);
+    } catch (e) {
+        failSpan(span, e);
+        throw e;
+    } finally {
+        span.end();
+    }
+});
+
+export { SpanKind, SpanStatusCode, setTelemetry, withSpan, failSpan, count, record };
+
+/**
+ * @typedef {Object<string, string | number | boolean>} Attributes
+ */
+
+/**
+ * The part of the OpenTelemetry `Span` interface that is used.
+ * @typedef {Object} Span
+ * @property {(key: string, value: string | number | boolean) => Span} setAttribute
+ * @property {(attributes: Attributes) => Span} setAttributes
+ * @property {(status: { code: number, message?: string }) => Span} setStatus
+ * @property {(exception: Error) => void} recordException
+ * @property {() => void} end
+ */
+
+/**
+ * The part of the OpenTelemetry `Tracer` interface that is used.
+ * @typedef {Object} Tracer
+ * @property {(name: string, options: Object, callback: (span: Span) => any) => any} startActiveSpan
+ */
+
+/**
+ * The part of the OpenTelemetry `Meter` interface that is used.
+ * @typedef {Object} Meter
+ * @property {(name: string, options?: Object) => { add: (value: number, attributes?: Attributes) => void }}
+ *     createCounter
+ * @property {(name: string, options?: Object) => { record: (value: number, attributes?: Attributes) => void }}
+ *     createHistogram
+ */
@@ -0,0 +1,96 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { AuthError, NotFoundError } from '../errors.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('createAppProvider', () => {
+    let github;
+    let pem;
+
+    const isMint = ({ url }) => url.endsWith('/access_tokens');
+    const getReadme = (octokit) => OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+
+    const createProvider = (options = {}) => OctokitWrapper.createAppProvider('1', pem, {
+        ...options,
+        octokitOptions: { request: { fetch: github.fetch }, retry: { enabled: false }, throttle: { enabled: false } }
+    });
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+        pem = generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+            publicKeyEncoding: { type: 'spki', format: 'pem' }
+        }).privateKey;
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n' } });
+    });
+
+    it('mints an installation token as the app and reuses it until it is about to expire', async () => {
+        const installationID = github.addInstallation('octo');
+        const provider = createProvider();
+        const octokit = (await provider.forInstallation(installationID)).data;
+
+        await getReadme(octokit);
+        await getReadme((await provider.forInstallation(installationID)).data);
+
+        const [mint, ...reads] = github.requests;
+
+        assert.equal(github.requests.filter(isMint).length, 1);
+        assert.match(mint.authorization, /^bearer /);
+        assert.equal(reads.length, 2);
+        assert.ok(reads.every(({ authorization }) => /^token ghs_/.test(authorization)));
+    });
+
+    it('re-mints the installation token once it is within the margin of its expiry', async () => {
+        const installationID = github.addInstallation('octo', { tokenLifetime: 4 * 60 });
+        const octokit = (await createProvider().forInstallation(installationID)).data;
+
+        await getReadme(octokit);
+        await getReadme(octokit);
+
+        const reads = github.requests.filter((request) => !isMint(request));
+
+        assert.equal(github.requests.filter(isMint).length, 3);
+        assert.notEqual(reads[0].authorization, reads[1].authorization);
+    });
+
+    it('shares a single mint between concurrent requests', async () => {
+        const installationID = github.addInstallation('octo');
+        const provider = createProvider();
+
+        await Promise.all([provider.forInstallation(installationID), provider.forInstallation(installationID)]);
+
+        assert.equal(github.requests.filter(isMint).length, 1);
+    });
+
+    it('caches one client per token scope and limits repository tokens to the repository', async () => {
+        github.addInstallation('octo');
+        const provider = createProvider();
+
+        const repoScoped = await provider.forRepo('octo', 'repo');
+        const ownerScoped = await provider.forOwner('OCTO');
+
+        assert.notEqual(repoScoped.data, ownerScoped.data);
+        assert.equal((await provider.forRepo('octo', 'repo')).data, repoScoped.data);
+        assert.deepEqual(github.requests.filter(isMint).map(({ body }) => body.repositories), [['repo'], undefined]);
+        assert.equal(github.requests.filter(({ url }) => new URL(url).pathname === '/app/installations').length, 1);
+    });
+
+    it('returns typed errors for accounts without an installation and installations that cannot mint', async () => {
+        const provider = createProvider();
+
+        const notInstalled = await provider.forOwner('elsewhere');
+        const unknown = await provider.forInstallation(404);
+
+        assert.ok(notInstalled.error instanceof NotFoundError);
+        assert.ok(unknown.error instanceof AuthError);
+        assert.ok(unknown.error.cause instanceof NotFoundError);
+    });
+});
@@ -0,0 +1,149 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('batch', () => {
+    let github;
+    let octokit;
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('acme', 'api', { topics: ['service'] });
+        github.addRepo('acme', 'web', { topics: ['service', 'frontend'], private: true });
+        github.addRepo('acme', 'api-docs', { topics: ['docs'] });
+        github.addRepo('acme', 'legacy-api', { topics: ['service'], archived: true });
+        github.addRepo('other', 'api');
+        octokit = github.createOctokit();
+    });
+
+    describe('selectRepositories', () => {
+        const select = async (selector) => {
+            const result = await OctokitWrapper.selectRepositories(octokit, selector);
+
+            return result.data.map(({ owner, repo }) => `${owner}/${repo}`).sort();
+        };
+
+        it('filters the repositories of an organization', async () => {
+            assert.deepEqual(await select({ org: 'acme', topic: 'service' }), [
+                'acme/api',
+                'acme/legacy-api',
+                'acme/web'
+            ]);
+            assert.deepEqual(await select({ org: 'acme', pattern: 'api*' }), ['acme/api', 'acme/api-docs']);
+            assert.deepEqual(await select({ org: 'acme', pattern: /^web$/ }), ['acme/web']);
+            assert.deepEqual(await select({ org: 'acme', visibility: 'private' }), ['acme/web']);
+        });
+
+        it('takes an explicit list as it is', async () => {
+            assert.deepEqual(await select({ repos: ['other/api', { owner: 'acme', repo: 'web' }] }), [
+                'acme/web',
+                'other/api'
+            ]);
+            assert.equal(github.requests.length, 0);
+            await assert.rejects(OctokitWrapper.selectRepositories(octokit, { repos: ['api'] }), /owner\/name/);
+        });
+    });
+
+    describe('runBatch', () => {
+        it('runs the operation for every selected repository and skips archived ones', async () => {
+            const result = await OctokitWrapper.runBatch(octokit, { org: 'acme', topic: 'service' }, (client, target) =>
+                OctokitWrapper.ensureBranchExists(client, target.owner, target.repo, 'release')
+            );
+
+            assert.equal(result.success, true);
+            assert.equal(result.data.succeeded, 2);
+            assert.equal(result.data.skipped, 1);
+            assert.deepEqual(
+                result.data.results.filter(({ status }) => status === 'skipped').map(({ repository, reason }) =>
+                    `${repository} ${reason}`),
+                ['acme/legacy-api archived']
+            );
+            assert.ok(github.getBranches('acme', 'api').includes('release'));
+            assert.ok(!github.getBranches('acme', 'legacy-api').includes('release'));
+        });
+
+        it('reports failing repositories without stopping the others', async () => {
+            const operation = async (_, { repo }) => repo === 'api' ?
+                { success: false, error: new Error('Broken') } :
+                { success: true, data: repo };
+            const result = await OctokitWrapper.runBatch(octokit, { repos: ['acme/api', 'acme/web'] }, operation);
+
+            assert.equal(result.data.failed, 1);
+            assert.equal(result.data.results[0].error.message, 'Broken');
+            assert.equal(result.data.results[1].data, 'web');
+        });
+
+        it('keeps to the concurrency limit', async () => {
+            let running = 0;
+            let peak = 0;
+
+            await OctokitWrapper.runBatch(octokit, { repos: ['a/1', 'a/2', 'a/3', 'a/4', 'a/5'] }, async () => {
+                peak = Math.max(peak, ++running);
+                await new Promise((res) => setTimeout(res, 5));
+                running--;
+            }, { concurrency: 2 });
+
+            assert.equal(peak, 2);
+        });
+
+        it('uses the given budget for the batch only', async () => {
+            const previous = OctokitWrapper.getRateLimitBudget(octokit);
+            const budget = OctokitWrapper.createRateLimitBudget();
+            let used = null;
+
+            const result = await OctokitWrapper.runBatch(octokit, { repos: ['acme/api'] }, async (client) => {
+                used = OctokitWrapper.getRateLimitBudget(client);
+            }, { budget });
+
+            assert.equal(result.success, true);
+            assert.equal(used, budget);
+            assert.equal(OctokitWrapper.getRateLimitBudget(octokit), previous);
+        });
+
+        it('keeps the budgets of overlapping batches apart from each other and from other requests', async () => {
+            const shared = OctokitWrapper.getRateLimitBudget(octokit);
+            const budgets = [OctokitWrapper.createRateLimitBudget(), OctokitWrapper.createRateLimitBudget()];
+            const used = [[], []];
+            let outside = null;
+
+            const runWith = (idx) => OctokitWrapper.runBatch(octokit, { repos: ['a/1', 'a/2', 'a/3'] },
+                async (client) => {
+                    await new Promise((res) => setTimeout(res, 5 * (idx + 1)));
+                    used[idx].push(OctokitWrapper.getRateLimitBudget(client));
+                },
+                { concurrency: 1, budget: budgets[idx] }
+            );
+
+            const [first] = await Promise.all([
+                runWith(0),
+                runWith(1),
+                new Promise((res) => setTimeout(res, 10)).then(() => {
+                    outside = OctokitWrapper.getRateLimitBudget(octokit);
+                })
+            ]);
+
+            assert.ok(used[0].every((budget) => budget === budgets[0]));
+            assert.ok(used[1].every((budget) => budget === budgets[1]));
+            assert.equal(outside, shared);
+            assert.equal(OctokitWrapper.getRateLimitBudget(octokit), shared);
+            assert.deepEqual(first.data.rateLimit, budgets[0].snapshot());
+        });
+
+        it('starts no more repositories once aborted', async () => {
+            const controller = new AbortController();
+            const result = await OctokitWrapper.runBatch(octokit, { repos: ['a/1', 'a/2', 'a/3'] }, async () => {
+                controller.abort();
+            }, { concurrency: 1, signal: controller.signal });
+
+            assert.equal(result.data.aborted, true);
+            assert.equal(result.data.succeeded, 1);
+            assert.deepEqual(result.data.results.slice(1).map(({ reason }) => reason), ['aborted', 'aborted']);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { createTaskRegistry, loadChain } from '../executors/index.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+const CHAIN = `
+tasks:
+  - label: branch
+    type: ensureBranchExists
+    params: { owner: octo, repo: repo, branch: develop }
+  - label: readme
+    type: createOrUpdateFile
+    dependsOn: [branch]
+    params: { owner: octo, repo: repo, path: README.md, content: "{{ inputs.readme }}", branch: develop }
+`;
+
+describe('loadChain', () => {
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    it('runs the built-in task types with the templates of their parameters resolved', async () => {
+        const github = createFakeGitHub();
+
+        github.addRepo('octo', 'repo');
+
+        const report = await loadChain(CHAIN, { octokit: github.createOctokit() }).run({ readme: '# Repo\n' });
+
+        assert.equal(report.success, true);
+        assert.equal(github.getFileContent('octo', 'repo', 'README.md', 'develop'), '# Repo\n');
+    });
+
+    it('attempts built-in task types once, as the wrapper operations retry on their own', async () => {
+        const report = await loadChain(CHAIN).run({ readme: '# Repo\n' });
+
+        assert.equal(report.success, false);
+        assert.equal(report.tasks[0].attempts, 1);
+        assert.match(report.tasks[0].error.cause.message, /must be built with an octokit/);
+    });
+
+    it('keeps the retries of a definition and of custom types', async () => {
+        let attempts = 0;
+        const registry = createTaskRegistry().register('flaky', () => async () => {
+            if (++attempts < 2)
+                throw new Error('Flaky');
+        });
+        const report = await loadChain(`
+tasks:
+  - { label: flaky, type: flaky, interval: 500 }
+  - { label: branch, type: ensureBranchExists, retries: 2, interval: 500, params: { branch: develop } }
+`, { registry }).run({});
+
+        assert.equal(report.tasks[0].status, 'succeeded');
+        assert.equal(report.tasks[0].attempts, 2);
+        assert.equal(report.tasks[1].attempts, 2);
+    });
+});
@@ -0,0 +1,186 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { Task, TaskChain } from '../executors/index.js';
+import { planWrite } from '../dry-run.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('dry run', () => {
+    let github;
+    let octokit;
+
+    const countWrites = () => github.requests.filter(({ method }) => method !== 'GET').length;
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n' } });
+        octokit = github.createOctokit();
+    });
+
+    it('records the writes of an Octokit in dry-run mode and still sends its reads', async () => {
+        OctokitWrapper.setDryRun(octokit);
+
+        const result = await OctokitWrapper.createOrUpdateFile(octokit, 'octo', 'repo', 'README.md', 'New', 'Update');
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.dryRun, true);
+        assert.equal(countWrites(), 0);
+        assert.equal(github.requests.length, 1);
+        assert.equal(github.getFileContent('octo', 'repo', 'README.md'), '# Repo\n');
+        assert.deepEqual(
+            OctokitWrapper.getDryRunPlan(octokit).map(({ method, route }) => `${method} ${route}`),
+            ['PUT /repos/{owner}/{repo}/contents/{path}']
+        );
+
+        OctokitWrapper.setDryRun(octokit, false);
+
+        assert.equal(OctokitWrapper.getDryRunPlan(octokit), null);
+    });
+
+    it('plans every write of commitFiles once without retrying', async () => {
+        const started = Date.now();
+        const { result, plan } = await OctokitWrapper.dryRun(() =>
+            OctokitWrapper.commitFiles(octokit, 'octo', 'repo', {
+                message: 'Add a',
+                changes: [{ type: 'add', path: 'a.txt', content: 'a' }]
+            })
+        );
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.commitSha, '<sha of planned POST /repos/{owner}/{repo}/git/commits>');
+        assert.deepEqual(plan.map(({ method, route }) => `${method} ${route}`), [
+            'POST /repos/{owner}/{repo}/git/blobs',
+            'POST /repos/{owner}/{repo}/git/trees',
+            'POST /repos/{owner}/{repo}/git/commits',
+            'PATCH /repos/{owner}/{repo}/git/refs/{ref}'
+        ]);
+        assert.equal(plan[1].params.tree[0].sha, '<sha of planned POST /repos/{owner}/{repo}/git/blobs>');
+        assert.equal(countWrites(), 0);
+        assert.ok(Date.now() - started < 1000);
+    });
+
+    it('returns the planned write of a branch that would be created', async () => {
+        OctokitWrapper.setDryRun(octokit);
+
+        const result = await OctokitWrapper.ensureBranchExists(octokit, 'octo', 'repo', 'develop');
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.dryRun, true);
+        assert.equal(result.data.route, '/repos/{owner}/{repo}/git/refs');
+        assert.equal(result.data.params.ref, 'refs/heads/develop');
+        assert.deepEqual(github.getBranches('octo', 'repo'), ['main']);
+    });
+
+    it('records the writes made inside a dryRun callback only', async () => {
+        const { plan } = await OctokitWrapper.dryRun(() =>
+            OctokitWrapper.createOrUpdateFile(octokit, 'octo', 'repo', 'a.txt', 'a', 'Add a')
+        );
+
+        await OctokitWrapper.createOrUpdateFile(octokit, 'octo', 'repo', 'b.txt', 'b', 'Add b');
+
+        assert.equal(plan.length, 1);
+        assert.equal(plan[0].params.path, 'a.txt');
+        assert.equal(github.getFileContent('octo', 'repo', 'a.txt'), null);
+        assert.equal(github.getFileContent('octo', 'repo', 'b.txt'), 'b');
+    });
+
+    it('redacts sensitive parameters in the plan', async () => {
+        const { plan } = await OctokitWrapper.dryRun(() =>
+            OctokitWrapper.setSecrets(octokit, { type: 'repo', owner: 'octo', repo: 'repo' }, [
+                { key: 'API_KEY', value: 'secret-value' }
+            ])
+        );
+
+        assert.equal(plan.length, 1);
+        assert.equal(plan[0].params.secret_name, 'API_KEY');
+        assert.equal(plan[0].params.encrypted_value, '[REDACTED]');
+    });
+
+    it('records the writes of a chain run per task without rolling back', async () => {
+        const chain = new TaskChain();
+        let undone = false;
+
+        chain.addTask(new Task('file', async () =>
+            OctokitWrapper.createOrUpdateFile(octokit, 'octo', 'repo', 'a.txt', 'a', 'Add a'), {
+            retries: 1,
+            undo: async () => {
+                undone = true;
+            }
+        }));
+        chain.addTask(new Task('fail', async () => {
+            throw new Error('Failed');
+        }, { retries: 1 }));
+
+        const report = await chain.run({}, { dryRun: true });
+
+        assert.equal(report.success, false);
+        assert.equal(report.rolledBack, false);
+        assert.equal(undone, false);
+        assert.equal(report.tasks[0].plan.length, 1);
+        assert.equal(report.plan.length, 1);
+        assert.equal(countWrites(), 0);
+    });
+
+    it('still sends token requests, so the reads that need them can be made', async () => {
+        const client = { clientID: 'Iv1.client', clientSecret: 'client-secret' };
+        const restoreFetch = github.installFetch();
+
+        try {
+            github.addOAuthApp(client);
+
+            const code = github.authorize(client.clientID);
+            const { data: tokens } = await OctokitWrapper.exchangeCode({ ...client, code });
+            const { result, plan } = await OctokitWrapper.dryRun(() =>
+                OctokitWrapper.refreshAccessToken({ ...client, refreshToken: tokens.refreshToken })
+            );
+
+            assert.equal(result.success, true);
+            assert.match(result.data.accessToken, /^gho_/);
+            assert.deepEqual(plan, []);
+        } finally {
+            restoreFetch();
+        }
+    });
+
+    describe('GraphQL', () => {
+        const runGraphQL = (query, variables) => OctokitWrapper.dryRun(() =>
+            OctokitWrapper.createGraphQLRequest(query, variables).runWith(octokit)
+        );
+
+        it('plans mutations that start with a comment or a fragment', async () => {
+            const commented = await runGraphQL(`
+                # Enables auto-merge.
+                mutation($id: ID!) { enablePullRequestAutoMerge(input: { pullRequestId: $id }) { clientMutationId } }
+            `, { id: 'PR_1' });
+            const withFragment = await runGraphQL(`
+                fragment Pull on PullRequest { number }
+                mutation Merge($id: ID!) {
+                    enablePullRequestAutoMerge(input: { pullRequestId: $id }) { pullRequest { ...Pull } }
+                }
+            `, { id: 'PR_1' });
+
+            assert.equal(commented.plan.length, 1);
+            assert.equal(withFragment.plan.length, 1);
+            assert.equal(github.requests.length, 0);
+        });
+
+        it('sends queries, and treats documents whose operation is unclear as writes', async () => {
+            const isPlanned = async (query, operationName) => (await OctokitWrapper.dryRun(() =>
+                planWrite(octokit, 'POST /graphql', { query, operationName })
+            )).plan.length === 1;
+
+            assert.equal(await isPlanned('{ viewer { login } }'), false);
+            assert.equal(await isPlanned('fragment L on User { login }\n# mutation\nquery { viewer { ...L } }'), false);
+            assert.equal(await isPlanned('query Q($q: String = "mutation { x }") { search(q: $q) { n } }'), false);
+            assert.equal(await isPlanned('query A { viewer { login } } mutation B { x }', 'A'), false);
+            assert.equal(await isPlanned('query A { viewer { login } } mutation B { x }', 'B'), true);
+            assert.equal(await isPlanned('query A { viewer { login } } mutation B { x }'), true);
+            assert.equal(await isPlanned('subscription { x }'), true);
+        });
+    });
+});
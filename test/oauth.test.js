@@ -0,0 +1,192 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { BadRefreshTokenError, BadVerificationCodeError, StateMismatchError } from '../oauth.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+const CLIENT = { clientID: 'Iv1.client', clientSecret: 'client-secret' };
+
+describe('OAuth', () => {
+    const github = createFakeGitHub();
+    let restoreFetch;
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+        github.addOAuthApp(CLIENT);
+        restoreFetch = github.installFetch();
+    });
+
+    after(() => {
+        restoreFetch();
+    });
+
+    describe('web flow', () => {
+        it('builds an authorize URL with state and a PKCE challenge', () => {
+            const { url, state, codeVerifier } = OctokitWrapper.createAuthorizeUrl({
+                clientID: CLIENT.clientID,
+                redirectUri: 'https://example.com/callback',
+                scopes: ['repo', 'read:org']
+            });
+            const { searchParams } = new URL(url);
+
+            assert.equal(searchParams.get('client_id'), CLIENT.clientID);
+            assert.equal(searchParams.get('state'), state);
+            assert.equal(searchParams.get('scope'), 'repo read:org');
+            assert.equal(searchParams.get('code_challenge_method'), 'S256');
+            assert.ok(codeVerifier.length >= 43);
+        });
+
+        it('exchanges a code with its PKCE verifier for expiring tokens', async () => {
+            const { url, state, codeVerifier } = OctokitWrapper.createAuthorizeUrl({ clientID: CLIENT.clientID });
+            const code = github.authorize(CLIENT.clientID, {
+                codeChallenge: new URL(url).searchParams.get('code_challenge')
+            });
+
+            const result = await OctokitWrapper.exchangeCode({
+                ...CLIENT,
+                code,
+                codeVerifier,
+                state,
+                expectedState: state
+            });
+
+            assert.equal(result.success, true);
+            assert.match(result.data.accessToken, /^gho_/);
+            assert.match(result.data.refreshToken, /^ghr_/);
+            assert.ok(result.data.expiresAt > Date.now());
+        });
+
+        it('refuses a callback whose state does not match before using the code', async () => {
+            const code = github.authorize(CLIENT.clientID);
+            const requests = github.requests.length;
+
+            const result = await OctokitWrapper.exchangeCode({
+                ...CLIENT,
+                code,
+                state: 'forged',
+                expectedState: 'kept'
+            });
+
+            assert.ok(result.error instanceof StateMismatchError);
+            assert.equal(github.requests.length, requests);
+        });
+
+        it('refuses a callback with a state when there is no expected state to check it against', async () => {
+            const code = github.authorize(CLIENT.clientID);
+            const requests = github.requests.length;
+
+            const result = await OctokitWrapper.exchangeCode({ ...CLIENT, code, state: 'forged' });
+
+            assert.ok(result.error instanceof StateMismatchError);
+            assert.equal(github.requests.length, requests);
+        });
+
+        it('returns typed errors for codes GitHub rejects', async () => {
+            const result = await OctokitWrapper.getAccessTokenFromCode(null, CLIENT.clientID, CLIENT.clientSecret, 'x');
+
+            assert.ok(result.error instanceof BadVerificationCodeError);
+            assert.equal(result.error.code, 'bad_verification_code');
+        });
+
+        it('refreshes tokens once', async () => {
+            const code = github.authorize(CLIENT.clientID);
+            const { data: tokens } = await OctokitWrapper.exchangeCode({ ...CLIENT, code });
+
+            const refreshed = await OctokitWrapper.refreshAccessToken({ ...CLIENT, refreshToken: tokens.refreshToken });
+            const reused = await OctokitWrapper.refreshAccessToken({ ...CLIENT, refreshToken: tokens.refreshToken });
+
+            assert.equal(refreshed.success, true);
+            assert.notEqual(refreshed.data.accessToken, tokens.accessToken);
+            assert.ok(reused.error instanceof BadRefreshTokenError);
+        });
+    });
+
+    describe('device flow', () => {
+        let fakeFetch;
+
+        before(() => {
+            fakeFetch = globalThis.fetch;
+        });
+
+        after(() => {
+            globalThis.fetch = fakeFetch;
+        });
+
+        it('polls until the user has authorized the device', async () => {
+            const responses = [
+                { error: 'authorization_pending' },
+                { error: 'slow_down', interval: 0.01 },
+                { access_token: 'gho_device', token_type: 'bearer', scope: 'repo' }
+            ];
+            const polls = [];
+
+            const deviceCode = {
+                device_code: 'device',
+                user_code: 'ABCD-1234',
+                verification_uri: 'https://github.com/login/device',
+                expires_in: 900,
+                interval: 0
+            };
+
+            globalThis.fetch = async (input, init) => {
+                const url = String(input instanceof Request ? input.url : input);
+
+                if (!url.endsWith('/login/device/code'))
+                    polls.push(JSON.parse(init.body));
+
+                const body = url.endsWith('/login/device/code') ? deviceCode : responses.shift();
+
+                return new Response(JSON.stringify(body), { headers: { 'content-type': 'application/json' } });
+            };
+
+            let shown = null;
+            const result = await OctokitWrapper.authorizeDevice({
+                clientID: CLIENT.clientID,
+                scopes: ['repo'],
+                onVerification: (code) => {
+                    shown = code;
+                }
+            });
+
+            assert.equal(shown.userCode, 'ABCD-1234');
+            assert.equal(result.success, true);
+            assert.equal(result.data.accessToken, 'gho_device');
+            assert.equal(polls.length, 3);
+            assert.ok(polls.every(({ device_code }) => device_code === 'device'));
+        });
+
+        it('stops polling as soon as it is cancelled, without logging a failure', async () => {
+            const records = [];
+            const controller = new AbortController();
+            let polls = 0;
+
+            OctokitWrapper.setLogger({ log: (record) => records.push(record) });
+            globalThis.fetch = async () => {
+                polls++;
+
+                return new Response(JSON.stringify({ error: 'authorization_pending' }), {
+                    headers: { 'content-type': 'application/json' }
+                });
+            };
+
+            const start = Date.now();
+
+            setTimeout(() => controller.abort(), 50);
+
+            const result = await OctokitWrapper.pollDeviceToken({
+                clientID: CLIENT.clientID,
+                deviceCode: { deviceCode: 'device', expiresAt: Date.now() + 900_000, interval: 60 },
+                signal: controller.signal
+            });
+
+            OctokitWrapper.setLogger({ log: () => {} });
+
+            assert.equal(result.success, false);
+            assert.equal(result.error, controller.signal.reason);
+            assert.ok(Date.now() - start < 1000);
+            assert.equal(polls, 0);
+            assert.equal(records.some(({ level }) => level === 'error'), false);
+        });
+    });
+});
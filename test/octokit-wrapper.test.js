@@ -0,0 +1,164 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { ConflictError } from '../errors.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('OctokitWrapper', () => {
+    let github;
+    let octokit;
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { branches: ['develop'], files: { 'README.md': '# Repo\n' } });
+        octokit = github.createOctokit();
+    });
+
+    describe('createOrUpdateFile', () => {
+        it('creates a file that does not exist', async () => {
+            const result = await OctokitWrapper.createOrUpdateFile(
+                octokit, 'octo', 'repo', 'docs/new.md', 'Hello', 'Add docs'
+            );
+
+            assert.equal(result.success, true);
+            assert.equal(github.getFileContent('octo', 'repo', 'docs/new.md'), 'Hello');
+
+            const put = github.requests.find(({ method }) => method === 'PUT');
+
+            assert.equal(put.body.sha, undefined);
+        });
+
+        it('updates an existing file with its current SHA', async () => {
+            const result = await OctokitWrapper.createOrUpdateFile(
+                octokit, 'octo', 'repo', 'README.md', '# Updated\n', 'Update readme', 'develop'
+            );
+
+            assert.equal(result.success, true);
+            assert.equal(github.getFileContent('octo', 'repo', 'README.md', 'develop'), '# Updated\n');
+            assert.equal(github.getFileContent('octo', 'repo', 'README.md', 'main'), '# Repo\n');
+
+            const put = github.requests.find(({ method }) => method === 'PUT');
+
+            assert.match(put.body.sha, /^[0-9a-f]{40}$/);
+        });
+    });
+
+    describe('ensureBranchExists', () => {
+        it('creates a missing branch from the base branch', async () => {
+            const result = await OctokitWrapper.ensureBranchExists(octokit, 'octo', 'repo', 'feature', 'develop');
+
+            assert.deepEqual(result, { success: true, data: true });
+            assert.deepEqual(github.getBranches('octo', 'repo').sort(), ['develop', 'feature', 'main']);
+        });
+
+        it('is idempotent', async () => {
+            await OctokitWrapper.ensureBranchExists(octokit, 'octo', 'repo', 'feature');
+
+            const writes = github.requests.filter(({ method }) => method !== 'GET').length;
+            const result = await OctokitWrapper.ensureBranchExists(octokit, 'octo', 'repo', 'feature');
+
+            assert.deepEqual(result, { success: true, data: false });
+            assert.equal(github.requests.filter(({ method }) => method !== 'GET').length, writes);
+        });
+
+        it('fails when the base branch does not exist', async () => {
+            const result = await OctokitWrapper.ensureBranchExists(octokit, 'octo', 'repo', 'feature', 'missing');
+
+            assert.equal(result.success, false);
+            assert.equal(result.error.status, 404);
+        });
+    });
+
+    describe('commitFiles', () => {
+        it('commits every change as one commit', async () => {
+            github.addRepo('octo', 'files', { files: { 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' } });
+
+            const result = await OctokitWrapper.commitFiles(octokit, 'octo', 'files', {
+                message: 'Change files',
+                changes: [
+                    { type: 'add', path: 'd.txt', content: 'd' },
+                    { type: 'update', path: 'a.txt', content: 'A' },
+                    { type: 'delete', path: 'b.txt' },
+                    { type: 'rename', from: 'c.txt', path: 'renamed/c.txt' }
+                ]
+            });
+
+            assert.equal(result.success, true);
+            assert.equal(github.getFileContent('octo', 'files', 'd.txt'), 'd');
+            assert.equal(github.getFileContent('octo', 'files', 'a.txt'), 'A');
+            assert.equal(github.getFileContent('octo', 'files', 'b.txt'), null);
+            assert.equal(github.getFileContent('octo', 'files', 'c.txt'), null);
+            assert.equal(github.getFileContent('octo', 'files', 'renamed/c.txt'), 'c');
+            assert.equal(github.requests.filter(({ url }) => url.endsWith('/git/commits')).length, 1);
+        });
+
+        it('rejects invalid changes before writing anything', async () => {
+            await assert.rejects(
+                OctokitWrapper.commitFiles(octokit, 'octo', 'repo', {
+                    message: 'Broken',
+                    changes: [{ type: 'rename', path: 'x.txt' }]
+                }),
+                /rename changes must have a from path/
+            );
+            assert.equal(github.requests.length, 0);
+        });
+
+        describe('when the branch moves while committing', () => {
+            /**
+             * Creates an Octokit that commits `path` to main from the outside right before the first ref update.
+             * @param {string} path
+             */
+            const createRacingOctokit = (path) => {
+                let raced = false;
+
+                return new Octokit({
+                    request: {
+                        fetch: async (input, init = {}) => {
+                            if (!raced && init.method === 'PATCH') {
+                                raced = true;
+                                await OctokitWrapper.createOrUpdateFile(
+                                    github.createOctokit(), 'octo', 'repo', path, 'theirs', 'Race'
+                                );
+                            }
+
+                            return github.fetch(input, init);
+                        }
+                    },
+                    retry: { enabled: false },
+                    throttle: { enabled: false }
+                });
+            };
+
+            it('rebases onto the new head when no path conflicts', async () => {
+                const result = await OctokitWrapper.commitFiles(createRacingOctokit('other.txt'), 'octo', 'repo', {
+                    message: 'Mine',
+                    changes: [{ type: 'add', path: 'mine.txt', content: 'mine' }],
+                    onConflict: 'rebase'
+                });
+
+                assert.equal(result.success, true);
+                assert.equal(github.getFileContent('octo', 'repo', 'mine.txt'), 'mine');
+                assert.equal(github.getFileContent('octo', 'repo', 'other.txt'), 'theirs');
+            });
+
+            it('fails with a conflict when the same path changed', async () => {
+                const result = await OctokitWrapper.commitFiles(createRacingOctokit('mine.txt'), 'octo', 'repo', {
+                    message: 'Mine',
+                    changes: [{ type: 'add', path: 'mine.txt', content: 'mine' }],
+                    onConflict: 'rebase'
+                });
+
+                assert.equal(result.success, false);
+                assert.ok(result.error instanceof ConflictError);
+                assert.deepEqual(result.error.paths, ['mine.txt']);
+                assert.equal(github.getFileContent('octo', 'repo', 'mine.txt'), 'theirs');
+            });
+        });
+    });
+});
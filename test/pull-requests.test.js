@@ -0,0 +1,175 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { NotFoundError } from '../errors.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('pull requests', () => {
+    let github;
+    let octokit;
+
+    const countWrites = () => github.requests.filter(({ method }) => method !== 'GET').length;
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { branches: ['feature'] });
+        octokit = github.createOctokit();
+    });
+
+    describe('ensurePullRequest', () => {
+        it('opens a pull request once and updates its title and body afterwards', async () => {
+            const options = { head: 'feature', title: 'Add feature', body: 'Adds it.' };
+
+            const created = await OctokitWrapper.ensurePullRequest(octokit, 'octo', 'repo', options);
+            const unchanged = await OctokitWrapper.ensurePullRequest(octokit, 'octo', 'repo', options);
+            const updated = await OctokitWrapper.ensurePullRequest(octokit, 'octo', 'repo', {
+                ...options,
+                title: 'Add the feature'
+            });
+
+            assert.deepEqual(
+                [created, unchanged, updated].map(({ data }) => [data.created, data.updated]),
+                [[true, false], [false, false], [false, true]]
+            );
+            assert.equal(github.getPullRequest('octo', 'repo', 1).title, 'Add the feature');
+            assert.equal(github.getPullRequest('octo', 'repo', 2), null);
+        });
+
+        it('only finds open pull requests of the same head and base', async () => {
+            github.addRepo('octo', 'other', { branches: ['feature', 'develop'] });
+            github.addPullRequest('octo', 'other', { head: 'feature', base: 'develop', title: 'Into develop' });
+
+            const found = await OctokitWrapper.findPullRequest(octokit, 'octo', 'other', { head: 'feature' });
+
+            assert.deepEqual(found, { success: true, data: null });
+        });
+    });
+
+    describe('setPullRequestLabels', () => {
+        it('compares against every label of a pull request', async () => {
+            const labels = Array.from({ length: 120 }, (_, idx) => `label-${idx}`);
+            const number = github.addPullRequest('octo', 'repo', { head: 'feature', title: 'Labelled', labels });
+
+            const unchanged = await OctokitWrapper.setPullRequestLabels(octokit, 'octo', 'repo', number, labels);
+
+            assert.equal(unchanged.data.length, 120);
+            assert.equal(countWrites(), 0);
+
+            const changed = await OctokitWrapper.setPullRequestLabels(octokit, 'octo', 'repo', number, ['bug']);
+
+            assert.deepEqual(changed.data, ['bug']);
+            assert.deepEqual(github.getPullRequest('octo', 'repo', number).labels, [{ name: 'bug' }]);
+        });
+    });
+
+    describe('setPullRequestAssignees', () => {
+        it('adds the missing assignees and removes the rest', async () => {
+            const number = github.addPullRequest('octo', 'repo', {
+                head: 'feature',
+                title: 'Assigned',
+                assignees: ['alice', 'bob']
+            });
+
+            const result = await OctokitWrapper.setPullRequestAssignees(octokit, 'octo', 'repo', number, [
+                'bob',
+                'carol'
+            ]);
+
+            assert.deepEqual(result.data, ['bob', 'carol']);
+            assert.deepEqual(github.getPullRequest('octo', 'repo', number).assignees.map(({ login }) => login), [
+                'bob',
+                'carol'
+            ]);
+        });
+    });
+
+    describe('requestPullRequestReviewers', () => {
+        it('only requests reviewers that are not requested yet', async () => {
+            const number = github.addPullRequest('octo', 'repo', {
+                head: 'feature',
+                title: 'Reviewed',
+                reviewers: ['alice']
+            });
+
+            const result = await OctokitWrapper.requestPullRequestReviewers(octokit, 'octo', 'repo', number, {
+                reviewers: ['alice', 'bob'],
+                teamReviewers: ['core']
+            });
+            const again = await OctokitWrapper.requestPullRequestReviewers(octokit, 'octo', 'repo', number, {
+                reviewers: ['bob']
+            });
+
+            assert.deepEqual(result.data, { reviewers: ['bob'], teamReviewers: ['core'] });
+            assert.deepEqual(again.data, { reviewers: [], teamReviewers: [] });
+            assert.deepEqual(github.getPullRequest('octo', 'repo', number).requested_reviewers, ['alice', 'bob']);
+        });
+    });
+
+    describe('enablePullRequestAutoMerge', () => {
+        it('enables auto-merge unless it is enabled with the same method', async () => {
+            const number = github.addPullRequest('octo', 'repo', { head: 'feature', title: 'Merge me' });
+
+            const enabled = await OctokitWrapper.enablePullRequestAutoMerge(octokit, 'octo', 'repo', number, 'SQUASH');
+            const again = await OctokitWrapper.enablePullRequestAutoMerge(octokit, 'octo', 'repo', number, 'SQUASH');
+
+            assert.deepEqual([enabled.data, again.data], [true, false]);
+            assert.deepEqual(github.getPullRequest('octo', 'repo', number).auto_merge, { merge_method: 'squash' });
+            assert.equal(countWrites(), 1);
+        });
+
+        it('returns the errors of the mutation as a typed error', async () => {
+            const number = github.addPullRequest('octo', 'repo', { head: 'feature', title: 'Merge me' });
+            const fetch = async (input, init) => {
+                if (new URL(input).pathname !== '/graphql')
+                    return github.fetch(input, init);
+
+                return github.fetch(input, {
+                    ...init,
+                    body: JSON.stringify({ ...JSON.parse(init.body), variables: { pullRequestId: 'PR_missing' } })
+                });
+            };
+            const result = await OctokitWrapper.enablePullRequestAutoMerge(
+                new Octokit({ request: { fetch }, retry: { enabled: false }, throttle: { enabled: false } }),
+                'octo',
+                'repo',
+                number
+            );
+
+            assert.ok(result.error instanceof NotFoundError);
+            assert.match(result.error.message, /Could not resolve to a node/);
+        });
+    });
+
+    describe('closePullRequest', () => {
+        it('closes the pull request and deletes its branch once', async () => {
+            const number = github.addPullRequest('octo', 'repo', { head: 'feature', title: 'Close me' });
+
+            const closed = await OctokitWrapper.closePullRequest(octokit, 'octo', 'repo', number);
+            const again = await OctokitWrapper.closePullRequest(octokit, 'octo', 'repo', number);
+
+            assert.deepEqual(closed.data, { closed: true, branchDeleted: true });
+            assert.deepEqual(again.data, { closed: false, branchDeleted: false });
+            assert.equal(github.getPullRequest('octo', 'repo', number).state, 'closed');
+            assert.deepEqual(github.getBranches('octo', 'repo'), ['main']);
+        });
+
+        it('never deletes the branch of a fork', async () => {
+            const number = github.addPullRequest('octo', 'repo', {
+                head: 'feature',
+                title: 'From a fork',
+                headRepo: 'fork/repo'
+            });
+
+            const result = await OctokitWrapper.closePullRequest(octokit, 'octo', 'repo', number);
+
+            assert.deepEqual(result.data, { closed: true, branchDeleted: false });
+            assert.ok(github.getBranches('octo', 'repo').includes('feature'));
+        });
+    });
+});
@@ -0,0 +1,158 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { RateLimitError } from '../errors.js';
+import { getRateLimitDelay } from '../rate-limit.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+/**
+ * The epoch second a rate limit that resets in about a second resets at.
+ * @returns {number}
+ */
+const resetSoon = () => Math.ceil(Date.now() / 1000) + 1;
+
+describe('rate limits', () => {
+    let github;
+    let octokit;
+
+    const getReadme = (client = octokit) => OctokitWrapper.getFile(client, 'octo', 'repo', 'README.md');
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n', 'LICENSE': 'MIT\n', 'a.txt': 'a' } });
+        octokit = github.createOctokit();
+    });
+
+    describe('getRateLimitDelay', () => {
+        const limited = (headers, message = 'API rate limit exceeded') => ({
+            status: 403,
+            message,
+            response: { headers }
+        });
+
+        it('tells primary and secondary rate limits apart', () => {
+            const now = 1_000_000;
+            const exhausted = limited({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1060' });
+
+            assert.deepEqual(getRateLimitDelay(limited({ 'retry-after': '30' }), now), {
+                type: 'secondary',
+                delay: 30_000
+            });
+            assert.deepEqual(getRateLimitDelay(exhausted, now), { type: 'primary', delay: 60_000 });
+            assert.deepEqual(getRateLimitDelay(limited({}, 'You have exceeded a secondary rate limit'), now), {
+                type: 'secondary',
+                delay: 60_000
+            });
+            assert.equal(getRateLimitDelay(limited({ 'x-ratelimit-remaining': '12' }, 'Not accessible')), null);
+            assert.equal(getRateLimitDelay({ status: 404, message: 'Not Found' }), null);
+        });
+    });
+
+    describe('shared budget', () => {
+        it('tracks the rate limit of every request made with an Octokit', async () => {
+            const reset = Math.floor(Date.now() / 1000) + 3600;
+
+            github.setRateLimit({ remaining: 4000, reset });
+
+            await getReadme();
+            await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'LICENSE');
+
+            assert.deepEqual(OctokitWrapper.getRateLimitBudget(octokit).snapshot(), {
+                remaining: 3998,
+                resetAt: reset * 1000,
+                blockedUntil: 0
+            });
+            assert.equal(OctokitWrapper.getRateLimitBudget(github.createOctokit()).snapshot().remaining, null);
+        });
+
+        it('spreads requests out once the remaining budget reaches the reserve', async () => {
+            github.setRateLimit({ remaining: 3, reset: resetSoon() });
+            OctokitWrapper.setRateLimitBudget(octokit, OctokitWrapper.createRateLimitBudget({ reserve: 10 }));
+
+            await getReadme();
+            await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'LICENSE');
+
+            const start = Date.now();
+
+            await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'a.txt');
+
+            assert.ok(Date.now() - start >= 300, 'The third request must wait for its slot.');
+        });
+
+        it('does not slow down above the reserve', async () => {
+            github.setRateLimit({ remaining: 3, reset: resetSoon() });
+            OctokitWrapper.setRateLimitBudget(octokit, OctokitWrapper.createRateLimitBudget({ reserve: 0 }));
+
+            const start = Date.now();
+
+            await getReadme();
+            await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'LICENSE');
+            await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'a.txt');
+
+            assert.ok(Date.now() - start < 300);
+        });
+    });
+
+    describe('waits', () => {
+        it('waits out a secondary rate limit and holds back the other requests of the Octokit', async () => {
+            github.queueResponse({
+                status: 403,
+                body: { message: 'You have exceeded a secondary rate limit.' },
+                headers: { 'retry-after': '1' }
+            });
+
+            const start = Date.now();
+            const [readme, license] = await Promise.all([
+                getReadme(),
+                new Promise((res) => setTimeout(res, 50))
+                    .then(() => OctokitWrapper.getFile(octokit, 'octo', 'repo', 'LICENSE'))
+            ]);
+
+            assert.equal(readme.processedFile, '# Repo\n');
+            assert.equal(license.processedFile, 'MIT\n');
+            assert.ok(Date.now() - start >= 1000);
+            assert.ok(OctokitWrapper.getRateLimitBudget(octokit).snapshot().blockedUntil >= start + 1000);
+            assert.equal(github.requests.length, 3);
+        });
+
+        it('waits for an exhausted primary rate limit to reset', async () => {
+            const reset = resetSoon();
+
+            github.queueResponse({
+                status: 403,
+                body: { message: 'API rate limit exceeded' },
+                headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+            });
+
+            const { processedFile } = await getReadme();
+
+            assert.equal(processedFile, '# Repo\n');
+            assert.ok(Date.now() >= reset * 1000 - 50);
+        });
+
+        it('gives up right away when the limit resets later than allowed', async () => {
+            github.queueResponse({
+                status: 403,
+                body: { message: 'API rate limit exceeded' },
+                headers: {
+                    'x-ratelimit-remaining': '0',
+                    'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600)
+                }
+            });
+
+            const start = Date.now();
+            const result = await OctokitWrapper.createRequest(octokit.rest.repos.get, { owner: 'octo', repo: 'repo' })
+                .runWith(octokit);
+
+            assert.ok(result.error instanceof RateLimitError);
+            assert.equal(result.error.limit, 'primary');
+            assert.equal(github.requests.length, 1);
+            assert.ok(Date.now() - start < 500);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('createReconciler', () => {
+    let github;
+    let octokit;
+
+    const desired = {
+        owner: 'octo',
+        repo: 'repo',
+        branches: [{ name: 'develop' }],
+        files: [
+            { path: 'README.md', content: '# Repo\n' },
+            { path: 'LICENSE', content: 'MIT\n', branch: 'develop' }
+        ],
+        secrets: [{ key: 'API_KEY', value: 'secret' }]
+    };
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { files: { 'README.md': '# Old\n' } });
+        octokit = github.createOctokit();
+    });
+
+    it('plans the changes that are needed without writing anything', async () => {
+        const result = await OctokitWrapper.createReconciler(octokit, desired).plan();
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.data.changes, [
+            { kind: 'branch', action: 'create', target: 'develop', after: { from: 'main' } },
+            { kind: 'file', action: 'update', target: 'main:README.md', before: '# Old\n', after: '# Repo\n' },
+            { kind: 'file', action: 'create', target: 'develop:LICENSE', after: 'MIT\n' },
+            { kind: 'secret', action: 'create', target: 'API_KEY' }
+        ]);
+        assert.ok(github.requests.every(({ method }) => method === 'GET'));
+    });
+
+    it('applies the plan in order', async () => {
+        const reconciler = OctokitWrapper.createReconciler(octokit, desired);
+        const result = await reconciler.apply();
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.applied.length, 4);
+        assert.deepEqual(github.getBranches('octo', 'repo').sort(), ['develop', 'main']);
+        assert.equal(github.getFileContent('octo', 'repo', 'README.md'), '# Repo\n');
+        assert.equal(github.getFileContent('octo', 'repo', 'LICENSE', 'develop'), 'MIT\n');
+        assert.equal(await github.getSecretValue('octo', 'repo', 'API_KEY'), 'secret');
+
+        const replanned = await reconciler.plan();
+
+        assert.deepEqual(replanned.data.changes, [{ kind: 'secret', action: 'update', target: 'API_KEY' }]);
+    });
+
+    it('reports every applied change of a chain', async () => {
+        const reconciler = OctokitWrapper.createReconciler(octokit, desired);
+        const planned = await reconciler.plan();
+        const applied = [];
+
+        await reconciler.toChain(planned.data, (change) => applied.push(change.target)).run({});
+
+        assert.deepEqual(applied, ['develop', 'main:README.md', 'develop:LICENSE', 'API_KEY']);
+    });
+
+    it('stops at the first change that fails', async () => {
+        const result = await OctokitWrapper.createReconciler(octokit, {
+            owner: 'octo',
+            repo: 'repo',
+            branches: [{ name: 'feature', from: 'missing' }],
+            files: [{ path: 'README.md', content: '# Repo\n' }]
+        }).apply();
+
+        assert.equal(result.success, false);
+        assert.match(result.error.message, /Failed to apply branch change to feature/);
+        assert.equal(github.getFileContent('octo', 'repo', 'README.md'), '# Old\n');
+    });
+});
@@ -0,0 +1,155 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+
+import { createGraphQLRequest, createRequest, runWithRetries } from '../request-builder.js';
+import { NotFoundError, RetryExhaustedError } from '../errors.js';
+import { setLogger } from '../logger.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+/**
+ * Creates an Octokit whose GraphQL requests are answered by `handler`.
+ * @param {(body: { query: string, variables: Object }) => Object} handler
+ * @returns {{ octokit: Octokit, calls: Object[] }}
+ */
+const createGraphQLOctokit = (handler) => {
+    const calls = [];
+    const fetch = async (input, init) => {
+        const body = JSON.parse(init.body);
+
+        calls.push(body);
+
+        return new Response(JSON.stringify(handler(body)), { headers: { 'content-type': 'application/json' } });
+    };
+
+    return {
+        octokit: new Octokit({ request: { fetch }, retry: { enabled: false }, throttle: { enabled: false } }),
+        calls
+    };
+};
+
+describe('request builder', () => {
+    before(() => {
+        setLogger({ log: () => {} });
+    });
+
+    describe('runWithRetries', () => {
+        it('retries until the callback succeeds', async () => {
+            let attempts = 0;
+            const result = await runWithRetries(async () => {
+                if (++attempts < 3)
+                    throw new Error('Flaky');
+
+                return attempts;
+            }, { maxRetries: 3, interval: 1, stopRetries: (error) => [false, error] });
+
+            assert.deepEqual(result, { success: true, data: 3 });
+        });
+
+        it('returns a RetryExhaustedError with every attempt once no attempts are left', async () => {
+            const result = await runWithRetries(async () => {
+                throw new Error('Down');
+            }, { maxRetries: 2, interval: 1, stopRetries: (error) => [false, error] });
+
+            assert.ok(result.error instanceof RetryExhaustedError);
+            assert.equal(result.error.attempts.length, 2);
+            assert.equal(result.error.cause.message, 'Down');
+        });
+    });
+
+    describe('createRequest', () => {
+        let github;
+        let octokit;
+
+        beforeEach(() => {
+            github = createFakeGitHub();
+            github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n' } });
+            octokit = github.createOctokit();
+        });
+
+        it('extracts a property of the response', async () => {
+            const result = await createRequest(octokit.rest.repos.get, { owner: 'octo', repo: 'repo' })
+                .withProperty('full_name')
+                .runWith(octokit);
+
+            assert.deepEqual(result, { success: true, data: 'octo/repo' });
+        });
+
+        it('does not retry a missing resource', async () => {
+            const result = await createRequest('GET /repos/{owner}/{repo}', { owner: 'octo', repo: 'missing' })
+                .runWith(octokit);
+
+            assert.ok(result.error instanceof NotFoundError);
+            assert.equal(github.requests.length, 1);
+        });
+
+        it('follows the pages of a list endpoint', async () => {
+            for (let idx = 0; idx < 5; idx++)
+                github.addRepo('acme', `repo-${idx}`);
+
+            const result = await createRequest('GET /orgs/{org}/repos', { org: 'acme', per_page: 2 })
+                .paginate()
+                .runWith(octokit);
+            const limited = await createRequest('GET /orgs/{org}/repos', { org: 'acme', per_page: 2 })
+                .maxItems(3)
+                .runWith(octokit);
+
+            assert.equal(result.data.length, 5);
+            assert.equal(limited.data.length, 3);
+            assert.equal(github.requests.length, 3 + 2);
+        });
+    });
+
+    describe('createGraphQLRequest', () => {
+        const QUERY = 'query($cursor: String) { viewer { repositories(first: 2, after: $cursor) { nodes { name } ' +
+            'pageInfo { hasNextPage endCursor } } } }';
+
+        it('follows the cursors of a connection', async () => {
+            const pages = {
+                null: { nodes: [{ name: 'a' }, { name: 'b' }], pageInfo: { hasNextPage: true, endCursor: 'c1' } },
+                c1: { nodes: [{ name: 'c' }], pageInfo: { hasNextPage: false, endCursor: 'c2' } }
+            };
+            const { octokit, calls } = createGraphQLOctokit(({ variables }) => ({
+                data: { viewer: { repositories: pages[variables.cursor] } }
+            }));
+
+            const result = await createGraphQLRequest(QUERY)
+                .withProperty('viewer.repositories.nodes')
+                .paginate()
+                .runWith(octokit);
+
+            assert.deepEqual(result.data.map(({ name }) => name), ['a', 'b', 'c']);
+            assert.deepEqual(calls.map(({ variables }) => variables.cursor), [null, 'c1']);
+        });
+
+        it('needs a path to the nodes or edges of a connection to paginate', async () => {
+            const { octokit } = createGraphQLOctokit(() => ({ data: {} }));
+            const result = await createGraphQLRequest(QUERY).withProperty('viewer').paginate().runWith(octokit);
+
+            assert.match(result.error.message, /ends at nodes or edges/);
+        });
+
+        it('fails on errors unless partial data is allowed', async () => {
+            const response = {
+                data: { a: { id: 1 }, b: null },
+                errors: [{ type: 'NOT_FOUND', path: ['b'], message: 'Could not resolve b' }]
+            };
+            const { octokit, calls } = createGraphQLOctokit(() => response);
+
+            const strict = await createGraphQLRequest('{ a { id } b { id } }').withProperty('a.id').runWith(octokit);
+            const partial = await createGraphQLRequest('{ a { id } b { id } }')
+                .withProperty('a.id')
+                .allowPartialData()
+                .runWith(octokit);
+
+            assert.ok(strict.error instanceof NotFoundError);
+            assert.deepEqual(strict.error.graphQLErrors, response.errors);
+            assert.deepEqual(partial, { success: true, data: 1 });
+            assert.equal(calls.length, 2);
+        });
+
+        it('rejects an empty query', () => {
+            assert.throws(() => createGraphQLRequest(' '), /query must be a non-empty string/);
+        });
+    });
+});
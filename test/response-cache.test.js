@@ -0,0 +1,134 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from 'octokit';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { createLruStore, createResponseCache, getCacheKey } from '../response-cache.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('response cache', () => {
+    let github;
+
+    /**
+     * Creates an Octokit for the fake that records the statuses it answered with.
+     * @returns {{ octokit: Octokit, statuses: number[] }}
+     */
+    const createTrackedOctokit = () => {
+        const statuses = [];
+        const fetch = async (input, init) => {
+            const response = await github.fetch(input, init);
+
+            statuses.push(response.status);
+
+            return response;
+        };
+
+        return {
+            octokit: new Octokit({ request: { fetch }, retry: { enabled: false }, throttle: { enabled: false } }),
+            statuses
+        };
+    };
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n' } });
+    });
+
+    it('revalidates cached reads and answers 304s from the cache', async () => {
+        const { octokit, statuses } = createTrackedOctokit();
+
+        const first = await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+        const second = await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+
+        assert.deepEqual(statuses, [200, 304]);
+        assert.equal(second.processedFile, '# Repo\n');
+        assert.deepEqual(second.data, first.data);
+    });
+
+    it('drops cached reads of a resource that was written', async () => {
+        const octokit = github.createOctokit();
+
+        await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+        await OctokitWrapper.createOrUpdateFile(octokit, 'octo', 'repo', 'README.md', '# New\n', 'Update');
+
+        const { processedFile } = await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+
+        assert.equal(processedFile, '# New\n');
+    });
+
+    it('can be turned off per Octokit', async () => {
+        const { octokit, statuses } = createTrackedOctokit();
+
+        OctokitWrapper.setResponseCache(octokit, null);
+
+        await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+        await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+
+        assert.deepEqual(statuses, [200, 200]);
+        assert.equal(OctokitWrapper.getResponseCache(octokit), null);
+    });
+
+    it('never fails a request when the store fails', async () => {
+        const failing = () => {
+            throw new Error('Store is down');
+        };
+        const octokit = github.createOctokit();
+
+        OctokitWrapper.setResponseCache(octokit, createResponseCache({
+            store: { get: failing, set: failing, delete: failing, keys: failing }
+        }));
+
+        const { processedFile } = await OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+
+        assert.equal(processedFile, '# Repo\n');
+    });
+
+    describe('createLruStore', () => {
+        it('evicts the least recently used entry', () => {
+            const store = createLruStore({ maxEntries: 2 });
+
+            store.set('a', 1);
+            store.set('b', 2);
+            store.get('a');
+            store.set('c', 3);
+
+            assert.deepEqual(store.keys(), ['a', 'c']);
+        });
+    });
+
+    describe('createResponseCache', () => {
+        it('only keeps responses that can be revalidated', async () => {
+            const cache = createResponseCache();
+
+            await cache.save('GET /a ', { headers: {}, data: 1 });
+            await cache.save('GET /b ', { headers: { etag: '"b"' }, data: 2 });
+
+            assert.equal(await cache.lookup('GET /a '), null);
+            assert.equal((await cache.lookup('GET /b ')).data, 2);
+        });
+
+        it('invalidates a resource and the resources it is part of', async () => {
+            const cache = createResponseCache();
+            const key = (url) => getCacheKey({ method: 'GET', url });
+            const urls = [
+                '/repos/o/r/contents/docs',
+                '/repos/o/r/contents/docs/a.md',
+                '/repos/o/r/git/ref/heads%2Fmain'
+            ];
+
+            for (const url of urls)
+                await cache.save(key(url), { headers: { etag: '"x"' }, data: url });
+
+            await cache.invalidate('/repos/o/r/contents/docs/a.md');
+            await cache.invalidate('/repos/o/r/git/refs/heads%2Fmain');
+
+            assert.equal(await cache.lookup(key('/repos/o/r/contents/docs')), null);
+            assert.equal(await cache.lookup(key('/repos/o/r/contents/docs/a.md')), null);
+            assert.equal(await cache.lookup(key('/repos/o/r/git/ref/heads%2Fmain')), null);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+describe('secrets', () => {
+    const scope = { type: 'repo', owner: 'octo', repo: 'repo' };
+    let github;
+    let octokit;
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(() => {
+        github = createFakeGitHub();
+        github.addRepo('octo', 'repo');
+        octokit = github.createOctokit();
+    });
+
+    it('encrypts secrets with the scope\'s public key', async () => {
+        const result = await OctokitWrapper.setSecrets(octokit, scope, [
+            { key: 'API_KEY', value: 'first' },
+            { key: 'DEPLOY_KEY', value: 'second' }
+        ]);
+
+        assert.deepEqual(result, { success: true, data: { created: ['API_KEY', 'DEPLOY_KEY'], updated: [] } });
+        assert.equal(await github.getSecretValue('octo', 'repo', 'API_KEY'), 'first');
+        assert.equal(await github.getSecretValue('octo', 'repo', 'DEPLOY_KEY'), 'second');
+        assert.ok(github.requests.every(({ body }) => !JSON.stringify(body).includes('first')));
+    });
+
+    it('reports secrets that already existed as updated', async () => {
+        await OctokitWrapper.setSecrets(octokit, scope, [{ key: 'API_KEY', value: 'first' }]);
+
+        const result = await OctokitWrapper.updateSecrets(octokit, 'octo', 'repo', [{ key: 'api_key', value: 'new' }]);
+
+        assert.deepEqual(result.data, { created: [], updated: ['api_key'] });
+        assert.equal(await github.getSecretValue('octo', 'repo', 'API_KEY'), 'new');
+    });
+
+    it('lists secrets without their values', async () => {
+        await OctokitWrapper.setSecrets(octokit, scope, [{ key: 'API_KEY', value: 'first' }]);
+
+        const result = await OctokitWrapper.listSecrets(octokit, scope);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.data.map(({ name }) => name), ['API_KEY']);
+        assert.equal(JSON.stringify(result.data).includes('first'), false);
+    });
+
+    it('syncs a scope to the desired secrets', async () => {
+        await OctokitWrapper.setSecrets(octokit, scope, [
+            { key: 'KEEP', value: 'old' },
+            { key: 'STALE', value: 'old' }
+        ]);
+
+        const result = await OctokitWrapper.syncSecrets(octokit, scope, [
+            { key: 'KEEP', value: 'new' },
+            { key: 'ADDED', value: 'new' }
+        ]);
+
+        assert.deepEqual(result.data, { created: ['ADDED'], updated: ['KEEP'], deleted: ['STALE'] });
+        assert.equal(await github.getSecretValue('octo', 'repo', 'STALE'), null);
+        assert.equal(await github.getSecretValue('octo', 'repo', 'KEEP'), 'new');
+    });
+
+    it('treats deleting a missing secret as done', async () => {
+        assert.deepEqual(await OctokitWrapper.deleteSecret(octokit, scope, 'MISSING'), { success: true, data: false });
+    });
+
+    it('rejects unknown scopes', async () => {
+        await assert.rejects(OctokitWrapper.listSecrets(octokit, { type: 'team' }), /Unknown secrets scope/);
+        await assert.rejects(
+            OctokitWrapper.listSecrets(octokit, { ...scope, type: 'environment', app: 'dependabot' }),
+            /only available to actions/
+        );
+    });
+});
@@ -0,0 +1,964 @@
+// @ts-check
+
+import { createHash, randomBytes } from 'node:crypto';
+import { Octokit } from 'octokit';
+
+import { getSodium } from '../../secrets.js';
+
+/**
+ * @typedef {import('../../octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+const API_HOST = 'api.github.com';
+const WEB_HOST = 'github.com';
+const ACCESS_TOKEN_LIFETIME = 8 * 60 * 60; // 8 hours, in seconds
+const REFRESH_TOKEN_LIFETIME = 183 * 24 * 60 * 60; // 6 months, in seconds
+
+/**
+ * Builds a JSON response, with the headers the wrapper reads from real GitHub responses.
+ * @param {number} status
+ * @param {any} [body]
+ * @param {Object<string, string>} [headers]
+ * @returns {Response}
+ */
+const reply = (status, body = null, headers = {}) => new Response(
+    status === 204 || body === null ? null : JSON.stringify(body),
+    {
+        status,
+        headers: {
+            'content-type': 'application/json; charset=utf-8',
+            'x-github-request-id': randomBytes(8).toString('hex').toUpperCase(),
+            'x-ratelimit-limit': '5000',
+            'x-ratelimit-remaining': '5000',
+            'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+            ...headers
+        }
+    }
+);
+
+const fail = (status, message) => reply(status, { message, documentation_url: 'https://docs.github.com/rest' });
+
+/**
+ * Hashes content the way git hashes blobs.
+ * @param {Buffer} content
+ * @returns {string}
+ */
+const hashBlob = (content) => createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+
+/**
+ * Creates an in-memory GitHub for tests. It serves the endpoints the wrapper uses: repositories, contents, refs, git
+ * blobs, trees and commits, pull requests with their labels, assignees and review requests, repository Actions
+ * secrets, the auto-merge GraphQL mutation, GitHub App installations with their tokens and the OAuth token
+ * exchange. Octokits from `createOctokit` talk to it through a custom `fetch`; `installFetch` routes every GitHub
+ * request in the process to it, which is needed for the OAuth functions.
+ * @callback CreateFakeGitHub
+ * @returns {FakeGitHub}
+ */
+const createFakeGitHub = () => {
+    const repos = new Map();
+    const blobs = new Map();
+    const trees = new Map();
+    const commits = new Map();
+    const oauthApps = new Map();
+    const installations = new Map();
+    const requests = [];
+    const queuedResponses = [];
+    let rateLimit = null;
+    let nextID = 1;
+
+    const storeBlob = (content) => {
+        const sha = hashBlob(content);
+
+        blobs.set(sha, content);
+
+        return sha;
+    }
+
+    const storeTree = (entries) => {
+        const sha = createHash('sha1').update(JSON.stringify([...entries].sort())).digest('hex');
+
+        trees.set(sha, new Map(entries));
+
+        return sha;
+    }
+
+    const storeCommit = (tree, parents, message) => {
+        const sha = createHash('sha1').update(JSON.stringify([tree, parents, message, nextID++])).digest('hex');
+
+        commits.set(sha, { sha, tree, parents, message });
+
+        return sha;
+    }
+
+    const commitPayload = (sha) => {
+        const { tree, parents, message } = commits.get(sha);
+
+        return { sha, message, tree: { sha: tree }, parents: parents.map((parent) => ({ sha: parent })) };
+    }
+
+    const repoPayload = (repo) => ({
+        id: repo.id,
+        node_id: `R_${repo.id}`,
+        name: repo.name,
+        full_name: `${repo.owner}/${repo.name}`,
+        owner: { login: repo.owner },
+        private: repo.private,
+        visibility: repo.private ? 'private' : 'public',
+        archived: repo.archived,
+        topics: repo.topics,
+        default_branch: repo.defaultBranch
+    });
+
+    const findRepo = (owner, name) => repos.get(`${owner}/${name}`.toLowerCase());
+
+    const pullPayload = (repo, pull) => ({
+        number: pull.number,
+        node_id: pull.nodeID,
+        state: pull.state,
+        title: pull.title,
+        body: pull.body,
+        draft: pull.draft,
+        head: { ref: pull.head, repo: { full_name: pull.headRepo } },
+        base: { ref: pull.base, repo: { full_name: `${repo.owner}/${repo.name}` } },
+        auto_merge: pull.autoMerge ? { merge_method: pull.autoMerge.toLowerCase() } : null,
+        labels: pull.labels.map((name) => ({ name })),
+        assignees: pull.assignees.map((login) => ({ login }))
+    });
+
+    const withPull = (handler) => (context) => {
+        const pull = context.repo.pulls.get(Number(context.match[1]));
+
+        return pull ? handler({ ...context, pull }) : fail(404, 'Not Found');
+    }
+
+    /**
+     * Resolves a branch, tag or commit SHA to a commit SHA.
+     */
+    const resolveRef = (repo, ref = repo.defaultBranch) =>
+        commits.has(ref) ? ref : repo.refs.get(`heads/${ref}`) ?? repo.refs.get(`tags/${ref}`) ?? null;
+
+    const isAncestor = (ancestor, sha) => {
+        const queue = [sha];
+
+        while (queue.length) {
+            const current = queue.shift();
+
+            if (current === ancestor)
+                return true;
+
+            queue.push(...(commits.get(current)?.parents ?? []));
+        }
+
+        return false;
+    }
+
+    /**
+     * Commits a change to a branch: `content` as base64, or `null` to delete the path.
+     */
+    const commitPath = (repo, branch, path, content, message) => {
+        const parent = repo.refs.get(`heads/${branch}`);
+        const entries = new Map(trees.get(commits.get(parent).tree));
+
+        if (content === null)
+            entries.delete(path);
+        else
+            entries.set(path, storeBlob(Buffer.from(content, 'base64')));
+
+        const sha = storeCommit(storeTree(entries), [parent], message);
+
+        repo.refs.set(`heads/${branch}`, sha);
+
+        return sha;
+    }
+
+    const contentPayload = (path, sha) => ({
+        type: 'file',
+        name: path.split('/').pop(),
+        path,
+        sha,
+        size: blobs.get(sha).length,
+        encoding: 'base64',
+        content: blobs.get(sha).toString('base64')
+    });
+
+    const paginate = (items, url, wrap) => {
+        const perPage = Number(url.searchParams.get('per_page') ?? 30);
+        const page = Number(url.searchParams.get('page') ?? 1);
+        const headers = {};
+
+        if (page * perPage < items.length) {
+            const next = new URL(url);
+
+            next.searchParams.set('page', String(page + 1));
+            headers.link = `<${next}>; rel="next"`;
+        }
+
+        return reply(200, wrap(items.slice((page - 1) * perPage, page * perPage)), headers);
+    }
+
+    const getKeyPair = async (repo) => {
+        if (!repo.keyPair) {
+            const sodium = await getSodium();
+
+            repo.keyPair = { keyID: String(nextID++), ...sodium.crypto_box_keypair() };
+        }
+
+        return repo.keyPair;
+    }
+
+    const repoRoutes = [
+        ['GET', /^$/, ({ repo }) => reply(200, repoPayload(repo))],
+        ['GET', /^\/contents\/(.+)$/, ({ repo, match, url }) => {
+            const ref = url.searchParams.get('ref') ?? undefined;
+            const commit = resolveRef(repo, ref);
+
+            if (!commit)
+                return fail(404, `No commit found for the ref ${ref}`);
+
+            const path = match[1];
+            const entries = trees.get(commits.get(commit).tree);
+
+            if (entries.has(path))
+                return reply(200, contentPayload(path, entries.get(path)));
+
+            const children = [...entries.keys()].filter((entry) => entry.startsWith(`${path}/`));
+
+            if (!children.length)
+                return fail(404, 'Not Found');
+
+            return reply(200, children.map((child) => contentPayload(child, entries.get(child))));
+        }],
+        ['PUT', /^\/contents\/(.+)$/, ({ repo, match, body }) => {
+            const path = match[1];
+            const branch = body.branch ?? repo.defaultBranch;
+
+            if (!repo.refs.has(`heads/${branch}`))
+                return fail(404, `Branch ${branch} not found`);
+
+            const existing = trees.get(commits.get(repo.refs.get(`heads/${branch}`)).tree).get(path);
+
+            if (existing && !body.sha)
+                return fail(422, 'Invalid request.\n\n"sha" wasn\'t supplied.');
+
+            if (existing && body.sha !== existing)
+                return fail(409, `${path} does not match ${body.sha}`);
+
+            const sha = commitPath(repo, branch, path, body.content, body.message);
+            const blob = trees.get(commits.get(sha).tree).get(path);
+
+            return reply(existing ? 200 : 201, { content: contentPayload(path, blob), commit: commitPayload(sha) });
+        }],
+        ['DELETE', /^\/contents\/(.+)$/, ({ repo, match, body }) => {
+            const path = match[1];
+            const branch = body.branch ?? repo.defaultBranch;
+            const head = repo.refs.get(`heads/${branch}`);
+            const existing = head && trees.get(commits.get(head).tree).get(path);
+
+            if (!existing)
+                return fail(404, 'Not Found');
+
+            if (body.sha !== existing)
+                return fail(409, `${path} does not match ${body.sha}`);
+
+            const sha = commitPath(repo, branch, path, null, body.message);
+
+            return reply(200, { content: null, commit: commitPayload(sha) });
+        }],
+        ['GET', /^\/git\/ref\/(.+)$/, ({ repo, match }) => {
+            const sha = repo.refs.get(match[1]);
+
+            if (!sha)
+                return fail(404, 'Not Found');
+
+            return reply(200, { ref: `refs/${match[1]}`, object: { sha, type: 'commit' } });
+        }],
+        ['POST', /^\/git\/refs$/, ({ repo, body }) => {
+            const ref = String(body.ref).replace(/^refs\//, '');
+
+            if (repo.refs.has(ref))
+                return fail(422, 'Reference already exists');
+
+            if (!commits.has(body.sha))
+                return fail(422, 'Object does not exist');
+
+            repo.refs.set(ref, body.sha);
+
+            return reply(201, { ref: `refs/${ref}`, object: { sha: body.sha, type: 'commit' } });
+        }],
+        ['PATCH', /^\/git\/refs\/(.+)$/, ({ repo, match, body }) => {
+            const current = repo.refs.get(match[1]);
+
+            if (!current)
+                return fail(422, 'Reference does not exist');
+
+            if (!commits.has(body.sha))
+                return fail(422, 'Object does not exist');
+
+            if (!body.force && !isAncestor(current, body.sha))
+                return fail(422, 'Update is not a fast forward');
+
+            repo.refs.set(match[1], body.sha);
+
+            return reply(200, { ref: `refs/${match[1]}`, object: { sha: body.sha, type: 'commit' } });
+        }],
+        ['DELETE', /^\/git\/refs\/(.+)$/, ({ repo, match }) => {
+            if (!repo.refs.delete(match[1]))
+                return fail(422, 'Reference does not exist');
+
+            return reply(204);
+        }],
+        ['POST', /^\/git\/blobs$/, ({ body }) => reply(201, {
+            sha: storeBlob(Buffer.from(body.content, body.encoding === 'base64' ? 'base64' : 'utf8'))
+        })],
+        ['GET', /^\/git\/commits\/([0-9a-f]+)$/, ({ match }) =>
+            commits.has(match[1]) ? reply(200, commitPayload(match[1])) : fail(404, 'Not Found')],
+        ['POST', /^\/git\/trees$/, ({ body }) => {
+            const entries = new Map(body.base_tree ? trees.get(body.base_tree) ?? [] : []);
+
+            for (const { path, sha, content } of body.tree) {
+                if (content !== undefined)
+                    entries.set(path, storeBlob(Buffer.from(content)));
+                else if (sha === null)
+                    entries.delete(path);
+                else if (blobs.has(sha))
+                    entries.set(path, sha);
+                else
+                    return fail(422, `Invalid tree info: ${path}`);
+            }
+
+            const sha = storeTree(entries);
+
+            return reply(201, { sha, tree: [...entries].map(([path, blob]) => ({ path, type: 'blob', sha: blob })) });
+        }],
+        ['POST', /^\/git\/commits$/, ({ body }) => {
+            if (!trees.has(body.tree) || !(body.parents ?? []).every((parent) => commits.has(parent)))
+                return fail(422, 'Tree or parent does not exist');
+
+            return reply(201, commitPayload(storeCommit(body.tree, body.parents ?? [], body.message)));
+        }],
+        ['GET', /^\/compare\/(.+)\.\.\.(.+)$/, ({ repo, match }) => {
+            const [base, head] = [resolveRef(repo, match[1]), resolveRef(repo, match[2])];
+
+            if (!base || !head)
+                return fail(404, 'Not Found');
+
+            const [before, after] = [trees.get(commits.get(base).tree), trees.get(commits.get(head).tree)];
+            const files = [...new Set([...before.keys(), ...after.keys()])]
+                .filter((path) => before.get(path) !== after.get(path))
+                .map((filename) => ({
+                    filename,
+                    status: !before.has(filename) ? 'added' : !after.has(filename) ? 'removed' : 'modified'
+                }));
+
+            return reply(200, { status: isAncestor(base, head) ? 'ahead' : 'diverged', files });
+        }],
+        ['GET', /^\/pulls$/, ({ repo, url }) => {
+            const state = url.searchParams.get('state') ?? 'open';
+            const head = url.searchParams.get('head');
+            const base = url.searchParams.get('base');
+            const pulls = [...repo.pulls.values()]
+                .filter((pull) => state === 'all' || pull.state === state)
+                .filter((pull) => !head || `${pull.headRepo.split('/')[0]}:${pull.head}` === head)
+                .filter((pull) => !base || pull.base === base);
+
+            return paginate(pulls.map((pull) => pullPayload(repo, pull)), url, (page) => page);
+        }],
+        ['POST', /^\/pulls$/, ({ repo, body }) => {
+            if (!repo.refs.has(`heads/${body.head}`) || !repo.refs.has(`heads/${body.base}`))
+                return fail(422, 'Validation Failed');
+
+            const pull = createPull(repo, body);
+
+            return reply(201, pullPayload(repo, pull));
+        }],
+        ['GET', /^\/pulls\/(\d+)$/, withPull(({ repo, pull }) => reply(200, pullPayload(repo, pull)))],
+        ['PATCH', /^\/pulls\/(\d+)$/, withPull(({ repo, pull, body }) => {
+            for (const key of ['title', 'body', 'state'])
+                if (body[key] !== undefined)
+                    pull[key] = body[key];
+
+            return reply(200, pullPayload(repo, pull));
+        })],
+        ['GET', /^\/pulls\/(\d+)\/requested_reviewers$/, withPull(({ pull }) => reply(200, {
+            users: pull.reviewers.map((login) => ({ login })),
+            teams: pull.teamReviewers.map((slug) => ({ slug }))
+        }))],
+        ['POST', /^\/pulls\/(\d+)\/requested_reviewers$/, withPull(({ repo, pull, body }) => {
+            pull.reviewers.push(...(body.reviewers ?? []));
+            pull.teamReviewers.push(...(body.team_reviewers ?? []));
+
+            return reply(201, pullPayload(repo, pull));
+        })],
+        ['GET', /^\/issues\/(\d+)$/, withPull(({ repo, pull }) => reply(200, pullPayload(repo, pull)))],
+        ['GET', /^\/issues\/(\d+)\/labels$/, withPull(({ pull, url }) =>
+            paginate(pull.labels.map((name) => ({ name })), url, (page) => page))],
+        ['PUT', /^\/issues\/(\d+)\/labels$/, withPull(({ pull, body }) => {
+            pull.labels = [...body.labels];
+
+            return reply(200, pull.labels.map((name) => ({ name })));
+        })],
+        ['POST', /^\/issues\/(\d+)\/assignees$/, withPull(({ repo, pull, body }) => {
+            pull.assignees.push(...body.assignees.filter((login) => !pull.assignees.includes(login)));
+
+            return reply(201, pullPayload(repo, pull));
+        })],
+        ['DELETE', /^\/issues\/(\d+)\/assignees$/, withPull(({ repo, pull, body }) => {
+            pull.assignees = pull.assignees.filter((login) => !body.assignees.includes(login));
+
+            return reply(200, pullPayload(repo, pull));
+        })],
+        ['GET', /^\/actions\/secrets\/public-key$/, async ({ repo }) => {
+            const { keyID, publicKey } = await getKeyPair(repo);
+
+            return reply(200, { key_id: keyID, key: Buffer.from(publicKey).toString('base64') });
+        }],
+        ['GET', /^\/actions\/secrets$/, ({ repo, url }) => {
+            const secrets = [...repo.secrets.entries()].map(([name, { createdAt, updatedAt }]) => ({
+                name,
+                created_at: createdAt,
+                updated_at: updatedAt
+            }));
+
+            return paginate(secrets, url, (page) => ({ total_count: secrets.length, secrets: page }));
+        }],
+        ['PUT', /^\/actions\/secrets\/([^/]+)$/, async ({ repo, match, body }) => {
+            const name = match[1].toUpperCase();
+            const { keyID } = await getKeyPair(repo);
+
+            if (body.key_id !== keyID)
+                return fail(422, 'Invalid key_id');
+
+            const existing = repo.secrets.get(name);
+            const now = new Date().toISOString();
+
+            repo.secrets.set(name, {
+                encryptedValue: body.encrypted_value,
+                createdAt: existing?.createdAt ?? now,
+                updatedAt: now
+            });
+
+            return reply(existing ? 204 : 201, existing ? null : {});
+        }],
+        ['DELETE', /^\/actions\/secrets\/([^/]+)$/, ({ repo, match }) =>
+            repo.secrets.delete(match[1].toUpperCase()) ? reply(204) : fail(404, 'Not Found')]
+    ];
+
+    /**
+     * Answers the GraphQL documents the wrapper sends. Only the auto-merge mutation is implemented.
+     */
+    const serveGraphQL = ({ query, variables = {} }) => {
+        if (!/enablePullRequestAutoMerge/.test(query))
+            return reply(200, { errors: [{ message: 'The fake GitHub does not implement this query.' }] });
+
+        for (const repo of repos.values()) {
+            const pull = [...repo.pulls.values()].find(({ nodeID }) => nodeID === variables.pullRequestId);
+
+            if (pull) {
+                pull.autoMerge = variables.mergeMethod;
+
+                return reply(200, { data: { enablePullRequestAutoMerge: { pullRequest: { number: pull.number } } } });
+            }
+        }
+
+        return reply(200, {
+            data: { enablePullRequestAutoMerge: null },
+            errors: [{
+                type: 'NOT_FOUND',
+                path: ['enablePullRequestAutoMerge'],
+                message: `Could not resolve to a node with the global id of '${variables.pullRequestId}'`
+            }]
+        });
+    }
+
+    const createPull = (repo, { head, base = repo.defaultBranch, title, body = '', draft = false, ...seed }) => {
+        const number = repo.nextNumber++;
+        const pull = {
+            number,
+            nodeID: `PR_${repo.id}_${number}`,
+            state: 'open',
+            title,
+            body,
+            draft,
+            head,
+            base,
+            headRepo: seed.headRepo ?? `${repo.owner}/${repo.name}`,
+            autoMerge: seed.autoMerge ?? null,
+            labels: [...(seed.labels ?? [])],
+            assignees: [...(seed.assignees ?? [])],
+            reviewers: [...(seed.reviewers ?? [])],
+            teamReviewers: []
+        };
+
+        repo.pulls.set(number, pull);
+
+        return pull;
+    }
+
+    const mintInstallationToken = (installation, body) => {
+        const permissions = body.permissions ?? { contents: 'write', metadata: 'read' };
+
+        return reply(201, {
+            token: `ghs_${randomBytes(18).toString('hex')}`,
+            expires_at: new Date(Date.now() + installation.tokenLifetime * 1000).toISOString(),
+            permissions,
+            repository_selection: body.repositories || body.repository_ids ? 'selected' : 'all'
+        });
+    }
+
+    const issueTokens = (app, login) => {
+        const tokens = {
+            access_token: `gho_${randomBytes(18).toString('hex')}`,
+            token_type: 'bearer',
+            scope: ''
+        };
+
+        if (app.expiringTokens) {
+            tokens.refresh_token = `ghr_${randomBytes(30).toString('hex')}`;
+            tokens.expires_in = ACCESS_TOKEN_LIFETIME;
+            tokens.refresh_token_expires_in = REFRESH_TOKEN_LIFETIME;
+            app.refreshTokens.set(tokens.refresh_token, login);
+        }
+
+        return reply(200, tokens);
+    }
+
+    const exchangeToken = (body) => {
+        const oauthError = (error, description) => reply(200, { error, error_description: description });
+        const app = oauthApps.get(body.client_id);
+
+        if (!app || app.clientSecret !== body.client_secret)
+            return oauthError(
+                'incorrect_client_credentials',
+                'The client_id and/or client_secret passed are incorrect.'
+            );
+
+        if (body.grant_type === 'refresh_token') {
+            const login = app.refreshTokens.get(body.refresh_token);
+
+            if (!login)
+                return oauthError('bad_refresh_token', 'The refresh token passed is incorrect or expired.');
+
+            app.refreshTokens.delete(body.refresh_token);
+
+            return issueTokens(app, login);
+        }
+
+        const grant = app.codes.get(body.code);
+
+        if (!grant)
+            return oauthError('bad_verification_code', 'The code passed is incorrect or expired.');
+
+        app.codes.delete(body.code);
+
+        if (grant.redirectUri && body.redirect_uri && grant.redirectUri !== body.redirect_uri)
+            return oauthError('redirect_uri_mismatch', 'The redirect_uri MUST match the registered callback URL.');
+
+        if (grant.codeChallenge) {
+            const challenge = createHash('sha256').update(body.code_verifier ?? '').digest('base64url');
+
+            if (challenge !== grant.codeChallenge)
+                return oauthError('bad_verification_code', 'The code_verifier does not match the code_challenge.');
+        }
+
+        return issueTokens(app, grant.login);
+    }
+
+    /**
+     * @param {string | URL | Request} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    const serve = async (input, init = {}) => {
+        const url = new URL(input instanceof Request ? input.url : input);
+        const method = (init.method ?? (input instanceof Request ? input.method : 'GET')).toUpperCase();
+        const text = typeof init.body === 'string' ? init.body : '';
+        const body = text ? JSON.parse(text) : {};
+        const authorization = new Headers(init.headers ?? (input instanceof Request ? input.headers : undefined))
+            .get('authorization');
+
+        requests.push({ method, url: url.toString(), body, authorization });
+
+        if (url.host !== API_HOST)
+            return route(url, method, body);
+
+        const queued = queuedResponses.shift();
+        const response = queued ? reply(queued.status, queued.body ?? null) : await route(url, method, body);
+
+        if (!rateLimit && !queued?.headers)
+            return response;
+
+        const headers = new Headers(response.headers);
+
+        if (rateLimit) {
+            rateLimit.remaining = Math.max(rateLimit.remaining - 1, 0);
+            headers.set('x-ratelimit-remaining', String(rateLimit.remaining));
+            headers.set('x-ratelimit-reset', String(rateLimit.reset));
+        }
+
+        for (const [name, value] of Object.entries(queued?.headers ?? {}))
+            headers.set(name, value);
+
+        return new Response(response.body, { status: response.status, headers });
+    }
+
+    /**
+     * @param {URL} url
+     * @param {string} method
+     * @param {Object} body
+     * @returns {Promise<Response>}
+     */
+    const route = async (url, method, body) => {
+        if (url.host === WEB_HOST && method === 'POST' && url.pathname === '/login/oauth/access_token')
+            return exchangeToken(body);
+
+        if (url.host === API_HOST) {
+            if (method === 'POST' && url.pathname === '/graphql')
+                return serveGraphQL(body);
+
+            if (method === 'GET' && url.pathname === '/app/installations')
+                return paginate([...installations.values()].map(({ payload }) => payload), url, (items) => items);
+
+            const tokenFor = url.pathname.match(/^\/app\/installations\/(\d+)\/access_tokens$/);
+
+            if (tokenFor && method === 'POST') {
+                const installation = installations.get(Number(tokenFor[1]));
+
+                return installation ? mintInstallationToken(installation, body) : fail(404, 'Not Found');
+            }
+
+            const byOrg = url.pathname.match(/^\/orgs\/([^/]+)\/repos$/);
+
+            if (byOrg && method === 'GET') {
+                const type = url.searchParams.get('type') ?? 'all';
+                const owned = [...repos.values()]
+                    .filter(({ owner }) => owner.toLowerCase() === decodeURIComponent(byOrg[1]).toLowerCase())
+                    .filter((repo) => type === 'all' || (type === 'private') === repo.private);
+
+                return paginate(owned.map(repoPayload), url, (items) => items);
+            }
+
+            const byID = url.pathname.match(/^\/repositories\/(\d+)$/);
+
+            if (byID && method === 'GET') {
+                const repo = [...repos.values()].find(({ id }) => id === Number(byID[1]));
+
+                return repo ? reply(200, repoPayload(repo)) : fail(404, 'Not Found');
+            }
+
+            const inRepo = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)(\/.*)?$/);
+
+            if (inRepo) {
+                const repo = findRepo(decodeURIComponent(inRepo[1]), decodeURIComponent(inRepo[2]));
+
+                if (!repo)
+                    return fail(404, 'Not Found');
+
+                const rest = decodeURIComponent(inRepo[3] ?? '');
+
+                for (const [routeMethod, pattern, handler] of repoRoutes) {
+                    const match = rest.match(pattern);
+
+                    if (routeMethod === method && match)
+                        return handler({ repo, match, url, body });
+                }
+            }
+        }
+
+        return fail(501, `The fake GitHub does not implement ${method} ${url.pathname}.`);
+    }
+
+    /**
+     * Serves a request, tagging successful API reads with an ETag and answering 304 when `If-None-Match` still matches,
+     * as GitHub does.
+     * @param {string | URL | Request} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    const fetch = async (input, init = {}) => {
+        const response = await serve(input, init);
+        const url = new URL(input instanceof Request ? input.url : input);
+        const method = (init.method ?? (input instanceof Request ? input.method : 'GET')).toUpperCase();
+
+        if (method !== 'GET' || response.status !== 200 || url.host !== API_HOST)
+            return response;
+
+        const text = await response.text();
+        const etag = `"${createHash('sha1').update(text).digest('hex')}"`;
+        const headers = new Headers(response.headers);
+
+        headers.set('etag', etag);
+
+        if (new Headers(init.headers).get('if-none-match') === etag)
+            return new Response(null, { status: 304, headers });
+
+        return new Response(text, { status: 200, headers });
+    }
+
+    /**
+     * @param {string} owner
+     * @param {string} name
+     * @param {RepoSeed} [seed]
+     */
+    const addRepo = (owner, name, seed = {}) => {
+        const {
+            defaultBranch = 'main',
+            branches = [],
+            files = {},
+            private: isPrivate = false,
+            archived = false,
+            topics = []
+        } = seed;
+        const tree = storeTree(Object.entries(files).map(([path, content]) => [path, storeBlob(Buffer.from(content))]));
+        const head = storeCommit(tree, [], 'Initial commit');
+        const repo = {
+            id: nextID++,
+            owner,
+            name,
+            defaultBranch,
+            private: isPrivate,
+            archived,
+            topics,
+            refs: new Map([defaultBranch, ...branches].map((branch) => [`heads/${branch}`, head])),
+            secrets: new Map(),
+            keyPair: null,
+            pulls: new Map(),
+            nextNumber: 1
+        };
+
+        repos.set(`${owner}/${name}`.toLowerCase(), repo);
+
+        return repoPayload(repo);
+    }
+
+    /**
+     * @param {string} owner
+     * @param {string} name
+     * @param {string} path
+     * @param {string} [branch] - Defaults to the default branch.
+     * @returns {string | null} The file's content, or `null` if there is no such file.
+     */
+    const getFileContent = (owner, name, path, branch) => {
+        const repo = findRepo(owner, name);
+        const commit = repo && resolveRef(repo, branch);
+        const sha = commit ? trees.get(commits.get(commit).tree).get(path) : undefined;
+
+        return sha ? blobs.get(sha).toString('utf8') : null;
+    }
+
+    /**
+     * @param {string} owner
+     * @param {string} name
+     * @returns {string[]}
+     */
+    const getBranches = (owner, name) => [...(findRepo(owner, name)?.refs.keys() ?? [])]
+        .filter((ref) => ref.startsWith('heads/'))
+        .map((ref) => ref.slice('heads/'.length));
+
+    /**
+     * Opens a pull request as if someone else had.
+     * @param {string} owner
+     * @param {string} name
+     * @param {PullRequestSeed} seed
+     * @returns {number} The number of the pull request.
+     */
+    const addPullRequest = (owner, name, seed) => createPull(findRepo(owner, name), seed).number;
+
+    /**
+     * @param {string} owner
+     * @param {string} name
+     * @param {number} number
+     * @returns {Object | null} The pull request as the API returns it, or `null` if there is no such pull request.
+     */
+    const getPullRequest = (owner, name, number) => {
+        const repo = findRepo(owner, name);
+        const pull = repo?.pulls.get(number);
+
+        return pull ? { ...pullPayload(repo, pull), requested_reviewers: [...pull.reviewers] } : null;
+    }
+
+    /**
+     * Decrypts a repository secret with the repository's private key.
+     * @param {string} owner
+     * @param {string} name
+     * @param {string} secretName
+     * @returns {Promise<string | null>} The secret's value, or `null` if there is no such secret.
+     */
+    const getSecretValue = async (owner, name, secretName) => {
+        const repo = findRepo(owner, name);
+        const secret = repo?.secrets.get(secretName.toUpperCase());
+
+        if (!secret)
+            return null;
+
+        const sodium = await getSodium();
+        const { publicKey, privateKey } = repo.keyPair;
+
+        return sodium.to_string(
+            sodium.crypto_box_seal_open(Buffer.from(secret.encryptedValue, 'base64'), publicKey, privateKey)
+        );
+    }
+
+    /**
+     * @param {{ clientID: string, clientSecret: string, expiringTokens?: boolean }} app
+     */
+    const addOAuthApp = ({ clientID, clientSecret, expiringTokens = true }) => {
+        oauthApps.set(clientID, { clientSecret, expiringTokens, codes: new Map(), refreshTokens: new Map() });
+    }
+
+    /**
+     * Installs the GitHub App on an account.
+     * @param {string} login - The user or organization the app is installed on.
+     * @param {{ tokenLifetime?: number }} [options] - How long minted installation tokens last, in seconds. Defaults to
+     *     an hour, as on GitHub.
+     * @returns {number} The ID of the installation.
+     */
+    const addInstallation = (login, { tokenLifetime = 60 * 60 } = {}) => {
+        const id = nextID++;
+
+        installations.set(id, { tokenLifetime, payload: { id, account: { login, type: 'Organization' } } });
+
+        return id;
+    }
+
+    /**
+     * Issues a code as if the user had authorized the app, to be exchanged for tokens.
+     * @param {string} clientID
+     * @param {OAuthGrant} [grant]
+     * @returns {string}
+     */
+    const authorize = (clientID, { login = 'octocat', redirectUri, codeChallenge } = {}) => {
+        const app = oauthApps.get(clientID);
+
+        if (!app)
+            throw new Error(`OAuth app ${clientID} does not exist!`);
+
+        const code = randomBytes(10).toString('hex');
+
+        app.codes.set(code, { login, redirectUri, codeChallenge });
+
+        return code;
+    }
+
+    /**
+     * @param {Object} [options] - Octokit options.
+     * @returns {FullOctokit}
+     */
+    const createOctokit = (options = {}) => new Octokit({
+        ...options,
+        request: { ...options.request, fetch },
+        retry: { enabled: false },
+        throttle: { enabled: false }
+    });
+
+    /**
+     * Makes API responses report a rate limit that every request uses up, instead of an untouched one.
+     * @param {{ remaining: number, reset: number }} limit - The requests left and when the limit resets, in seconds
+     *     since the epoch.
+     */
+    const setRateLimit = ({ remaining, reset }) => {
+        rateLimit = { remaining, reset };
+    }
+
+    /**
+     * Answers the next API request with a canned response instead of serving it, e.g. a rate limit error.
+     * @param {CannedResponse} response
+     */
+    const queueResponse = (response) => {
+        queuedResponses.push(response);
+    }
+
+    /**
+     * Routes every request to GitHub in the process to the fake, until the returned function is called.
+     * @returns {() => void} Restores the original `fetch`.
+     */
+    const installFetch = () => {
+        const original = globalThis.fetch;
+
+        globalThis.fetch = (input, init) => {
+            const { host } = new URL(input instanceof Request ? input.url : input);
+
+            return host === API_HOST || host === WEB_HOST ? fetch(input, init) : original(input, init);
+        };
+
+        return () => {
+            globalThis.fetch = original;
+        };
+    }
+
+    return {
+        fetch,
+        requests,
+        createOctokit,
+        installFetch,
+        setRateLimit,
+        queueResponse,
+        addRepo,
+        getFileContent,
+        getBranches,
+        addPullRequest,
+        getPullRequest,
+        getSecretValue,
+        addInstallation,
+        addOAuthApp,
+        authorize
+    };
+}
+
+export { createFakeGitHub };
+
+/**
+ * @typedef {Object} RepoSeed
+ * @property {string} [defaultBranch] - Defaults to `main`.
+ * @property {string[]} [branches] - More branches, pointing at the initial commit.
+ * @property {Object<string, string>} [files] - File contents by path, in the initial commit.
+ * @property {boolean} [private]
+ * @property {boolean} [archived]
+ * @property {string[]} [topics]
+ */
+
+/**
+ * @typedef {Object} CannedResponse
+ * @property {number} status
+ * @property {any} [body]
+ * @property {Object<string, string>} [headers] - Replace the headers the fake would send, e.g. `retry-after`.
+ */
+
+/**
+ * @typedef {Object} PullRequestSeed
+ * @property {string} head - The head branch.
+ * @property {string} [base] - Defaults to the default branch.
+ * @property {string} title
+ * @property {string} [body]
+ * @property {string} [headRepo] - `owner/name` of a fork the head branch lives in.
+ * @property {'MERGE' | 'SQUASH' | 'REBASE'} [autoMerge] - The merge method auto-merge is enabled with.
+ * @property {string[]} [labels]
+ * @property {string[]} [assignees]
+ * @property {string[]} [reviewers] - Logins whose review is already requested.
+ */
+
+/**
+ * @typedef {Object} OAuthGrant
+ * @property {string} [login] - The user who authorized the app.
+ * @property {string} [redirectUri] - When set, the exchange must use the same redirect URI.
+ * @property {string} [codeChallenge] - When set, the exchange must send the matching PKCE verifier.
+ */
+
+/**
+ * @typedef {Object} FakeGitHub
+ * @property {(input: string | URL | Request, init?: RequestInit) => Promise<Response>} fetch
+ * @property {Array<{ method: string, url: string, body: Object, authorization: string | null }>} requests - Every
+ *     request served, in order.
+ * @property {(options?: Object) => FullOctokit} createOctokit
+ * @property {() => () => void} installFetch
+ * @property {(limit: { remaining: number, reset: number }) => void} setRateLimit
+ * @property {(response: CannedResponse) => void} queueResponse
+ * @property {(owner: string, name: string, seed?: RepoSeed) => Object} addRepo
+ * @property {(owner: string, name: string, path: string, branch?: string) => string | null} getFileContent
+ * @property {(owner: string, name: string) => string[]} getBranches
+ * @property {(owner: string, name: string, seed: PullRequestSeed) => number} addPullRequest
+ * @property {(owner: string, name: string, number: number) => Object | null} getPullRequest
+ * @property {(owner: string, name: string, secretName: string) => Promise<string | null>} getSecretValue
+ * @property {(login: string, options?: { tokenLifetime?: number }) => number} addInstallation
+ * @property {(app: { clientID: string, clientSecret: string, expiringTokens?: boolean }) => void} addOAuthApp
+ * @property {(clientID: string, grant?: OAuthGrant) => string} authorize - Issues a code to exchange for tokens.
+ */
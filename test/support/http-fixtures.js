@@ -0,0 +1,162 @@
+// @ts-check
+
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+import { redact } from '../../redact.js';
+
+/**
+ * Response headers that are kept in fixtures. The rest vary from run to run.
+ */
+const KEPT_HEADERS = ['content-type', 'link', 'x-github-request-id', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+/**
+ * Parses a body as JSON when it is JSON, so fixtures stay readable.
+ * @param {string} text
+ * @returns {any}
+ */
+const parseBody = (text) => {
+    if (!text)
+        return null;
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * @param {string | URL | Request} input
+ * @param {RequestInit} init
+ * @returns {{ method: string, url: string }}
+ */
+const describeRequest = (input, init) => ({
+    method: (init.method ?? (input instanceof Request ? input.method : 'GET')).toUpperCase(),
+    url: input instanceof Request ? input.url : String(input)
+});
+
+/**
+ * Wraps `fetch` so every request and response pair is recorded. Sensitive values, such as tokens and encrypted
+ * secrets, are redacted from both before they are kept.
+ * @callback CreateRecorder
+ * @param {typeof fetch} [fetchImpl] - Defaults to the global `fetch`.
+ * @returns {{ fetch: typeof fetch, fixtures: HttpFixture[] }}
+ */
+const createRecorder = (fetchImpl = globalThis.fetch) => {
+    /** @type {HttpFixture[]} */
+    const fixtures = [];
+
+    /**
+     * @param {string | URL | Request} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    const fetch = async (input, init = {}) => {
+        const response = await fetchImpl(input, init);
+        const text = await response.clone().text();
+
+        fixtures.push({
+            request: {
+                ...describeRequest(input, init),
+                body: redact(parseBody(typeof init.body === 'string' ? init.body : ''))
+            },
+            response: {
+                status: response.status,
+                headers: Object.fromEntries(
+                    KEPT_HEADERS.filter((name) => response.headers.has(name))
+                        .map((name) => [name, response.headers.get(name)])
+                ),
+                body: redact(parseBody(text))
+            }
+        });
+
+        return response;
+    }
+
+    return { fetch, fixtures };
+}
+
+/**
+ * Creates a `fetch` that answers from recorded fixtures instead of the network. Every request is answered by the first
+ * unused fixture with the same method and URL, so repeated requests replay in the order they were recorded.
+ * @callback CreateReplayer
+ * @param {HttpFixture[]} fixtures
+ * @returns {{ fetch: typeof fetch, unused: () => HttpFixture[] }}
+ */
+const createReplayer = (fixtures) => {
+    const remaining = [...fixtures];
+
+    /**
+     * @param {string | URL | Request} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    const fetch = async (input, init = {}) => {
+        const { method, url } = describeRequest(input, init);
+        const idx = remaining.findIndex(({ request }) => request.method === method && request.url === url);
+
+        if (idx === -1)
+            throw new Error(`No fixture for ${method} ${url}.`);
+
+        const [{ response }] = remaining.splice(idx, 1);
+        const body = response.body === null ?
+            null :
+            typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+
+        return new Response(response.status === 204 ? null : body, {
+            status: response.status,
+            headers: response.headers
+        });
+    }
+
+    return { fetch, unused: () => [...remaining] };
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<HttpFixture[]>}
+ */
+const loadFixtures = async (file) => JSON.parse(await readFile(file, 'utf8'));
+
+/**
+ * @param {string} file
+ * @param {HttpFixture[]} fixtures
+ */
+const saveFixtures = async (file, fixtures) => {
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+}
+
+/**
+ * Sets up a fixture file for a test. In `record` mode requests go to GitHub and `save` writes them to the file; in
+ * `replay` mode they are answered from the file. `auto` replays when the file exists and records otherwise.
+ * Pass the returned `fetch` to Octokit as `request.fetch`.
+ * @callback UseFixtures
+ * @param {string} file
+ * @param {{ mode?: 'record' | 'replay' | 'auto', fetch?: typeof fetch }} [options]
+ * @returns {Promise<{ mode: 'record' | 'replay', fetch: typeof fetch, save: () => Promise<void> }>}
+ */
+const useFixtures = async (file, { mode = 'auto', fetch: fetchImpl = globalThis.fetch } = {}) => {
+    if (!['record', 'replay', 'auto'].includes(mode))
+        throw new Error('mode must be record, replay or auto!');
+
+    if (mode === 'replay' || (mode === 'auto' && existsSync(file))) {
+        const replayer = createReplayer(await loadFixtures(file));
+
+        return { mode: 'replay', fetch: replayer.fetch, save: async () => {} };
+    }
+
+    const recorder = createRecorder(fetchImpl);
+
+    return { mode: 'record', fetch: recorder.fetch, save: () => saveFixtures(file, recorder.fixtures) };
+}
+
+export { createRecorder, createReplayer, loadFixtures, saveFixtures, useFixtures };
+
+/**
+ * @typedef {Object} HttpFixture
+ * @property {{ method: string, url: string, body: any }} request
+ * @property {{ status: number, headers: Object<string, string>, body: any }} response
+ */
@@ -0,0 +1,303 @@
+import { before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { FileCheckpointStore, MemoryCheckpointStore, Task, TaskChain } from '../executors/index.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+/**
+ * Creates a task that is attempted once and records when it ran and was undone.
+ * @param {string} label
+ * @param {string[]} events
+ * @param {{ fail?: boolean, dependsOn?: string[], continueOnError?: boolean, undo?: boolean }} [options]
+ */
+const createTask = (label, events, { fail = false, dependsOn, continueOnError, undo = true } = {}) => new Task(
+    label,
+    async ({ steps }) => {
+        events.push(`run ${label}`);
+
+        if (fail)
+            throw new Error(`${label} failed`);
+
+        return { label, seen: Object.keys(steps) };
+    },
+    {
+        retries: 1,
+        dependsOn,
+        continueOnError,
+        undo: undo ? async () => {
+            events.push(`undo ${label}`);
+        } : null
+    }
+);
+
+describe('TaskChain', () => {
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    it('runs tasks in order and hands them the results of earlier tasks', async () => {
+        const events = [];
+        const chain = new TaskChain();
+
+        ['first', 'second', 'third'].forEach((label) => chain.addTask(createTask(label, events)));
+
+        const report = await chain.run({});
+
+        assert.equal(report.success, true);
+        assert.deepEqual(events, ['run first', 'run second', 'run third']);
+        assert.deepEqual(report.steps.third.seen, ['first', 'second']);
+        assert.deepEqual(report.tasks.map(({ status }) => status), ['succeeded', 'succeeded', 'succeeded']);
+    });
+
+    it('runs a task only once the tasks it depends on have finished', async () => {
+        const events = [];
+        const chain = new TaskChain({ concurrency: 2 });
+
+        chain.addTask(createTask('build', events, { dependsOn: ['fetch', 'configure'] }));
+        chain.addTask(createTask('fetch', events, { dependsOn: [] }));
+        chain.addTask(createTask('configure', events, { dependsOn: [] }));
+
+        const report = await chain.run({});
+
+        assert.equal(report.success, true);
+        assert.equal(events.at(-1), 'run build');
+        assert.deepEqual(report.steps.build.seen.sort(), ['configure', 'fetch']);
+    });
+
+    it('rejects the task that closes a dependency cycle when it is added', () => {
+        const chain = new TaskChain();
+
+        chain.addTask(createTask('a', [], { dependsOn: ['c'] }));
+        chain.addTask(createTask('b', [], { dependsOn: ['a'] }));
+
+        assert.throws(() => chain.addTask(createTask('c', [], { dependsOn: ['b'] })), /a -> c -> b -> a/);
+        assert.throws(() => chain.insertAfterTask(createTask('c', []), 'b'), /depend on each other/);
+        assert.throws(() => chain.getTask('c'), /cannot be found/);
+        assert.throws(() => chain.validate(), /a depends on c, which cannot be found/);
+    });
+
+    it('keeps a task whose removal would close a dependency cycle', () => {
+        const chain = new TaskChain();
+        const b = createTask('b', [], { dependsOn: [] });
+
+        chain.addTask(createTask('a', [], { dependsOn: ['c'] }));
+        chain.addTask(b);
+        chain.addTask(createTask('c', []));
+
+        assert.throws(() => chain.removeTask(b), /a -> c -> a/);
+        assert.equal(chain.getTask('b'), b);
+        chain.validate();
+    });
+
+    it('stops at a failing task and rolls back the completed ones in reverse order', async () => {
+        const events = [];
+        const chain = new TaskChain();
+
+        chain.addTask(createTask('first', events));
+        chain.addTask(createTask('second', events));
+        chain.addTask(createTask('third', events, { fail: true }));
+        chain.addTask(createTask('fourth', events));
+
+        const report = await chain.run({});
+
+        assert.equal(report.success, false);
+        assert.equal(report.rolledBack, true);
+        assert.deepEqual(events, ['run first', 'run second', 'run third', 'undo second', 'undo first']);
+        assert.deepEqual(
+            report.tasks.map(({ status }) => status),
+            ['succeeded', 'succeeded', 'failed', 'skipped']
+        );
+        assert.equal(report.tasks[0].undo.status, 'succeeded');
+        assert.equal(report.steps.third.cause.message, 'third failed');
+    });
+
+    it('does not roll back when rollback is turned off', async () => {
+        const events = [];
+        const chain = new TaskChain();
+
+        chain.addTask(createTask('first', events));
+        chain.addTask(createTask('second', events, { fail: true }));
+
+        const report = await chain.run({}, { rollback: false });
+
+        assert.equal(report.rolledBack, false);
+        assert.deepEqual(events, ['run first', 'run second']);
+    });
+
+    it('keeps going past a task that continues on error', async () => {
+        const events = [];
+        const chain = new TaskChain();
+
+        chain.addTask(createTask('first', events, { fail: true, continueOnError: true }));
+        chain.addTask(createTask('second', events));
+
+        const report = await chain.run({});
+
+        assert.equal(report.success, true);
+        assert.deepEqual(events, ['run first', 'run second']);
+    });
+
+    it('resumes a run from its checkpoint without repeating completed tasks', async () => {
+        const events = [];
+        const store = new MemoryCheckpointStore();
+        let failing = true;
+        const chain = new TaskChain({ store });
+
+        chain.addTask(createTask('first', events, { undo: false }));
+        chain.addTask(new Task('second', async () => {
+            events.push('run second');
+
+            if (failing)
+                throw new Error('second failed');
+
+            return 'done';
+        }, { retries: 1 }));
+
+        const failed = await chain.run({}, { runID: 'resume' });
+
+        failing = false;
+
+        const resumed = await chain.run({}, { runID: 'resume' });
+
+        assert.equal(failed.success, false);
+        assert.equal(resumed.success, true);
+        assert.equal(resumed.tasks[0].resumed, true);
+        assert.deepEqual(events, ['run first', 'run second', 'run second']);
+        assert.equal(await store.load('resume'), null);
+    });
+
+    it('keeps sensitive values out of checkpoint files', async () => {
+        const directory = await mkdtemp(join(tmpdir(), 'octokit-wrapper-checkpoints-'));
+        const store = new FileCheckpointStore(directory);
+        const chain = new TaskChain({ store });
+        const seen = [];
+        let minted = 0;
+        let failing = true;
+
+        chain.addTask(new Task('token', async () => ({ token: `ghs_result${++minted}` }), { retries: 1 }));
+        chain.addTask(new Task('use', async ({ inputs, steps }) => {
+            seen.push([inputs.apiToken, steps.token.token]);
+
+            if (failing)
+                throw new Error('use failed');
+        }, { retries: 1 }));
+
+        try {
+            await chain.run({ owner: 'octo', apiToken: 'input-secret' }, { runID: 'secrets' });
+
+            const text = await readFile(join(directory, 'secrets.json'), 'utf8');
+
+            assert.equal(text.includes('input-secret'), false);
+            assert.equal(text.includes('ghs_result'), false);
+            assert.match(text, /"owner": "octo"/);
+
+            await assert.rejects(chain.run({}, { runID: 'secrets' }), {
+                name: 'ValidationError',
+                violations: ['inputs.apiToken was redacted from the checkpoint and must be given again']
+            });
+
+            failing = false;
+
+            const resumed = await chain.run({ apiToken: 'input-secret' }, { runID: 'secrets' });
+
+            assert.equal(resumed.success, true);
+            assert.equal(resumed.tasks[0].resumed, undefined);
+            assert.deepEqual(seen, [['input-secret', 'ghs_result1'], ['input-secret', 'ghs_result2']]);
+        } finally {
+            await rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('asks again for inputs that held a credential instead of resuming with a mangled one', async () => {
+        const store = new MemoryCheckpointStore();
+        const chain = new TaskChain({ store });
+        const note = 'Deploy with bearer abcdefghijklmnopqrstuvwxyz0123';
+
+        chain.addTask(createTask('first', [], { undo: false }));
+        chain.addTask(new Task('fail', async () => {
+            throw new Error('failed');
+        }, { retries: 1 }));
+
+        await chain.run({ note, owner: 'octo' }, { runID: 'note' });
+
+        assert.deepEqual((await store.load('note')).inputs, { note: '[REDACTED]', owner: 'octo' });
+        await assert.rejects(chain.run({}, { runID: 'note' }), {
+            violations: ['inputs.note was redacted from the checkpoint and must be given again']
+        });
+    });
+
+    it('breaks and fails the chain when its checkpoint cannot be saved', async () => {
+        const events = [];
+        const failure = new Error('disk full');
+        const store = Object.assign(new MemoryCheckpointStore(), {
+            save: async () => {
+                throw failure;
+            }
+        });
+        const chain = new TaskChain({ store });
+
+        chain.addTask(createTask('first', events, { undo: false }));
+        chain.addTask(createTask('second', events));
+
+        const report = await chain.run({}, { runID: 'unsaved' });
+
+        assert.equal(report.success, false);
+        assert.equal(report.broken, true);
+        assert.equal(report.checkpointError, failure);
+        assert.deepEqual(report.tasks.map(({ status }) => status), ['succeeded', 'broken']);
+        assert.deepEqual(events, ['run first']);
+    });
+
+    describe('with wrapper operations', () => {
+        let github;
+        let octokit;
+
+        beforeEach(() => {
+            github = createFakeGitHub();
+            github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n' } });
+            octokit = github.createOctokit();
+        });
+
+        it('creates a branch and commits to it', async () => {
+            const chain = new TaskChain();
+            const unwrap = (result) => {
+                if (!result.success)
+                    throw result.error;
+
+                return result.data;
+            };
+
+            chain.addTask(new Task('branch', async ({ inputs }) => unwrap(
+                await OctokitWrapper.ensureBranchExists(octokit, 'octo', 'repo', inputs.branch)
+            ), { retries: 1, inputs: [{ name: 'branch', type: 'string', required: true }] }));
+            chain.addTask(new Task('file', async ({ inputs }) => unwrap(
+                await OctokitWrapper.createOrUpdateFile(
+                    octokit, 'octo', 'repo', 'CHANGELOG.md', inputs.changelog, 'Add changelog', inputs.branch
+                )
+            ), { retries: 1, inputs: [{ name: 'changelog', type: 'string', required: true }] }));
+
+            const report = await chain.run({ branch: 'release', changelog: '# Changes\n' });
+
+            assert.equal(report.success, true);
+            assert.equal(report.steps.branch, true);
+            assert.equal(github.getFileContent('octo', 'repo', 'CHANGELOG.md', 'release'), '# Changes\n');
+            assert.equal(github.getFileContent('octo', 'repo', 'CHANGELOG.md', 'main'), null);
+        });
+
+        it('rejects inputs that do not match the definitions before running anything', async () => {
+            const chain = new TaskChain();
+
+            chain.addTask(new Task('branch', async () => true, {
+                retries: 1,
+                inputs: [{ name: 'branch', type: 'string', required: true }]
+            }));
+
+            await assert.rejects(chain.run({}), { name: 'ValidationError', violations: ['branch is required'] });
+            assert.equal(github.requests.length, 0);
+        });
+    });
+});
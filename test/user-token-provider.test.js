@@ -0,0 +1,109 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OctokitWrapper } from '../octokit-wrapper.js';
+import { createFakeGitHub } from './support/fake-github.js';
+
+const CLIENT = { clientID: 'Iv1.client', clientSecret: 'client-secret' };
+
+describe('createUserTokenProvider', () => {
+    let github;
+    let tokens;
+    let persisted;
+    let restoreFetch;
+
+    const isRefresh = ({ url }) => url.endsWith('/login/oauth/access_token');
+    const getReadme = (octokit) => OctokitWrapper.getFile(octokit, 'octo', 'repo', 'README.md');
+
+    const createProvider = (overrides = {}) => OctokitWrapper.createUserTokenProvider({
+        ...CLIENT,
+        ...tokens,
+        onTokens: (refreshed) => {
+            persisted.push(refreshed);
+        },
+        octokitOptions: { request: { fetch: github.fetch } },
+        ...overrides
+    });
+
+    before(() => {
+        OctokitWrapper.setLogger({ log: () => {} });
+    });
+
+    beforeEach(async () => {
+        github = createFakeGitHub();
+        github.addOAuthApp(CLIENT);
+        github.addRepo('octo', 'repo', { files: { 'README.md': '# Repo\n' } });
+        restoreFetch?.();
+        restoreFetch = github.installFetch();
+        persisted = [];
+
+        const exchanged = await OctokitWrapper.exchangeCode({ ...CLIENT, code: github.authorize(CLIENT.clientID) });
+
+        tokens = exchanged.data;
+        github.requests.length = 0;
+    });
+
+    after(() => {
+        restoreFetch();
+    });
+
+    it('uses the access token as long as it is not about to expire', async () => {
+        const octokit = (await createProvider()()).data;
+
+        await getReadme(octokit);
+
+        assert.equal(github.requests.some(isRefresh), false);
+        assert.equal(github.requests[0].authorization, `token ${tokens.accessToken}`);
+        assert.deepEqual(persisted, []);
+    });
+
+    it('refreshes the access token shortly before it expires and hands the new tokens to onTokens', async () => {
+        const provider = createProvider({ expiresAt: Date.now() + 60_000 });
+        const octokit = (await provider()).data;
+
+        await getReadme(octokit);
+
+        assert.equal(github.requests.filter(isRefresh).length, 1);
+        assert.equal(persisted.length, 1);
+        assert.notEqual(persisted[0].accessToken, tokens.accessToken);
+        assert.notEqual(persisted[0].refreshToken, tokens.refreshToken);
+        assert.equal(github.requests.at(-1).authorization, `token ${persisted[0].accessToken}`);
+    });
+
+    it('refreshes the access token and retries once when GitHub rejects it', async () => {
+        const octokit = (await createProvider()()).data;
+
+        github.queueResponse({ status: 401, body: { message: 'Bad credentials' } });
+
+        const { processedFile } = await getReadme(octokit);
+        const reads = github.requests.filter((request) => !isRefresh(request));
+
+        assert.equal(processedFile, '# Repo\n');
+        assert.deepEqual(reads.map(({ authorization }) => authorization), [
+            `token ${tokens.accessToken}`,
+            `token ${persisted[0].accessToken}`
+        ]);
+        assert.equal(persisted.length, 1);
+    });
+
+    it('shares a single refresh between concurrent requests', async () => {
+        const octokit = (await createProvider()()).data;
+
+        github.queueResponse({ status: 401, body: { message: 'Bad credentials' } });
+        github.queueResponse({ status: 401, body: { message: 'Bad credentials' } });
+
+        const results = await Promise.all([getReadme(octokit), getReadme(octokit)]);
+
+        assert.deepEqual(results.map(({ processedFile }) => processedFile), ['# Repo\n', '# Repo\n']);
+        assert.equal(github.requests.filter(isRefresh).length, 1);
+        assert.equal(persisted.length, 1);
+    });
+
+    it('fails without a request when the refresh token has expired', async () => {
+        const result = await createProvider({ expiresAt: Date.now(), refreshTokenExpiresAt: Date.now() - 1 })();
+
+        assert.equal(result.success, false);
+        assert.match(result.error.message, /Refresh token expired/);
+        assert.equal(github.requests.length, 0);
+    });
+});
@@ -0,0 +1,257 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { Readable } from 'node:stream';
+
+import { createWebhookReceiver, verifySignature } from '../webhooks.js';
+import { setLogger } from '../logger.js';
+
+const SECRET = 'webhook-secret';
+
+/**
+ * Builds a delivery as GitHub would send it.
+ * @param {string} name
+ * @param {Object} body
+ * @param {string} [id]
+ */
+const createDelivery = (name, body, id = 'delivery-1') => {
+    const payload = JSON.stringify(body);
+
+    return {
+        id,
+        name,
+        payload,
+        signature: `sha256=${createHmac('sha256', SECRET).update(payload).digest('hex')}`
+    };
+};
+
+/**
+ * Builds a Node request and a response that records what was sent.
+ * @param {{ id: string, name: string, payload: string, signature: string }} delivery
+ * @param {string} [url]
+ */
+const createExchange = ({ id, name, payload, signature }, url = '/webhooks') => {
+    const req = Object.assign(Readable.from([Buffer.from(payload)]), {
+        method: 'POST',
+        url,
+        headers: { 'x-github-delivery': id, 'x-github-event': name, 'x-hub-signature-256': signature }
+    });
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        setHeader(key, value) {
+            this.headers[key] = value;
+        },
+        end(body = null) {
+            this.body = body;
+        }
+    };
+
+    return { req, res };
+};
+
+before(() => {
+    setLogger({ log: () => {} });
+});
+
+describe('verifySignature', () => {
+    it('accepts the signature of the exact payload only', () => {
+        const { payload, signature } = createDelivery('ping', { zen: 'Keep it simple.' });
+
+        assert.equal(verifySignature(SECRET, payload, signature), true);
+        assert.equal(verifySignature(SECRET, `${payload} `, signature), false);
+        assert.equal(verifySignature('other-secret', payload, signature), false);
+        assert.equal(verifySignature(SECRET, payload, undefined), false);
+    });
+});
+
+describe('createWebhookReceiver', () => {
+    it('dispatches to the handlers of the event, its action and every event', async () => {
+        const receiver = createWebhookReceiver({ secret: SECRET });
+        const calls = [];
+
+        receiver.on('*', ({ name }) => calls.push(`* ${name}`));
+        receiver.on('pull_request', ({ action }) => calls.push(`pull_request ${action}`));
+        receiver.on('pull_request.opened', () => calls.push('pull_request.opened'));
+        receiver.on('pull_request.closed', () => calls.push('pull_request.closed'));
+
+        const result = await receiver.receive(createDelivery('pull_request', { action: 'opened' }));
+
+        assert.deepEqual(result, { success: true, data: { duplicate: false, handled: 3 } });
+        assert.deepEqual(calls, ['* pull_request', 'pull_request opened', 'pull_request.opened']);
+    });
+
+    it('rejects deliveries with an invalid signature', async () => {
+        const receiver = createWebhookReceiver({ secret: SECRET });
+        const result = await receiver.receive({ ...createDelivery('push', {}), signature: 'sha256=00' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.status, 401);
+    });
+
+    it('drops redeliveries of a handled delivery', async () => {
+        const receiver = createWebhookReceiver({ secret: SECRET });
+        let calls = 0;
+
+        receiver.on('push', () => calls++);
+
+        await receiver.receive(createDelivery('push', {}));
+
+        const result = await receiver.receive(createDelivery('push', {}));
+
+        assert.deepEqual(result.data, { duplicate: true, handled: 0 });
+        assert.equal(calls, 1);
+    });
+
+    it('lets a redelivery through when a handler failed', async () => {
+        const receiver = createWebhookReceiver({ secret: SECRET });
+        let fail = true;
+
+        receiver.on('push', () => {
+            if (fail)
+                throw new Error('Handler failed');
+        });
+
+        const failed = await receiver.receive(createDelivery('push', {}));
+
+        fail = false;
+
+        const redelivered = await receiver.receive(createDelivery('push', {}));
+
+        assert.equal(failed.success, false);
+        assert.ok(failed.error instanceof AggregateError);
+        assert.deepEqual(redelivered.data, { duplicate: false, handled: 1 });
+    });
+
+    it('hands handlers an Octokit for the payload\'s installation', async () => {
+        const octokit = {};
+        const installations = [];
+        const receiver = createWebhookReceiver({
+            secret: SECRET,
+            appProvider: {
+                forInstallation: async (id) => {
+                    installations.push(id);
+
+                    return { success: true, data: octokit };
+                }
+            }
+        });
+        let received = null;
+
+        receiver.on('issues', (event) => {
+            received = event.octokit;
+        });
+
+        await receiver.receive(createDelivery('issues', { action: 'opened', installation: { id: 42 } }));
+
+        assert.deepEqual(installations, [42]);
+        assert.equal(received, octokit);
+    });
+
+    it('lets a redelivery through when the installation Octokit could not be resolved', async () => {
+        let resolved = false;
+        const receiver = createWebhookReceiver({
+            secret: SECRET,
+            appProvider: {
+                forInstallation: async () => resolved ?
+                    { success: true, data: {} } :
+                    { success: false, error: new Error('Installation token failed') }
+            }
+        });
+        let calls = 0;
+
+        receiver.on('issues', () => calls++);
+
+        const delivery = createDelivery('issues', { action: 'opened', installation: { id: 42 } });
+        const failed = await receiver.receive(delivery);
+
+        resolved = true;
+
+        const redelivered = await receiver.receive(delivery);
+
+        assert.equal(failed.success, false);
+        assert.deepEqual(redelivered.data, { duplicate: false, handled: 1 });
+        assert.equal(calls, 1);
+    });
+
+    describe('middleware', () => {
+        it('answers with the result of the delivery', async () => {
+            const receiver = createWebhookReceiver({ secret: SECRET, path: '/webhooks' });
+            const { req, res } = createExchange(createDelivery('push', {}));
+
+            receiver.on('push', () => {});
+
+            await receiver.middleware(req, res);
+
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual(JSON.parse(res.body), { duplicate: false, handled: 1 });
+        });
+
+        it('passes requests to other paths on', async () => {
+            const receiver = createWebhookReceiver({ secret: SECRET, path: '/webhooks' });
+            const { req, res } = createExchange(createDelivery('push', {}), '/other');
+            let passed = false;
+
+            await receiver.middleware(req, res, () => {
+                passed = true;
+            });
+
+            assert.equal(passed, true);
+        });
+
+        it('answers 401 to deliveries with an invalid signature', async () => {
+            const receiver = createWebhookReceiver({ secret: SECRET });
+            const { req, res } = createExchange({ ...createDelivery('push', {}), signature: 'sha256=00' });
+
+            await receiver.middleware(req, res);
+
+            assert.equal(res.statusCode, 401);
+        });
+
+        it('answers 400 when the body cannot be read', async () => {
+            const receiver = createWebhookReceiver({ secret: SECRET });
+            const { res } = createExchange(createDelivery('push', {}));
+            const req = Object.assign(new Readable({
+                read() {
+                    this.destroy(new Error('aborted'));
+                }
+            }), { method: 'POST', url: '/webhooks', headers: {} });
+
+            await receiver.middleware(req, res);
+
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(JSON.parse(res.body), { error: 'Could not read webhook payload.' });
+        });
+
+        it('answers 413 to payloads over the limit without reading the rest', async () => {
+            const receiver = createWebhookReceiver({ secret: SECRET, maxPayloadSize: 4096 });
+            const { res } = createExchange(createDelivery('push', {}));
+            let read = 0;
+            const req = Object.assign(Readable.from((function* () {
+                while (true) {
+                    read++;
+                    yield Buffer.alloc(1024);
+                }
+            })()), { method: 'POST', url: '/webhooks', headers: {} });
+
+            await receiver.middleware(req, res);
+
+            assert.equal(res.statusCode, 413);
+            assert.deepEqual(JSON.parse(res.body), { error: 'Webhook payload is too large.' });
+            assert.ok(read <= 6);
+        });
+
+        it('answers 413 without reading the body when its announced length is over the limit', async () => {
+            const receiver = createWebhookReceiver({ secret: SECRET, maxPayloadSize: 4096 });
+            const { req, res } = createExchange(createDelivery('push', {}));
+
+            req.headers['content-length'] = '5000';
+
+            await receiver.middleware(req, res);
+
+            assert.equal(res.statusCode, 413);
+            assert.equal(req.readableEnded, false);
+        });
+    });
+});
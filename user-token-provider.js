@@ -0,0 +1,155 @@
+// @ts-check
+
+import { Octokit } from 'octokit';
+
+import { refreshAccessToken } from './oauth.js';
+import { AuthError } from './errors.js';
+import { log } from './logger.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+/**
+ * @typedef {import('./oauth.js').OAuthTokens} OAuthTokens
+ */
+
+/**
+ * How long before expiry an access token is refreshed, unless configured otherwise.
+ */
+const REFRESH_MARGIN = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Creates a provider to access Octokit as a user whose tokens expire.
+ * The access token is refreshed shortly before it expires, and once more when GitHub rejects it with a 401. Concurrent
+ * callers share a single in-flight refresh. Every new pair of tokens is handed to `onTokens` so it can be persisted.
+ * @callback CreateUserTokenProvider
+ * @param {UserTokenProviderOptions} options
+ * @returns {() => Promise<Result<FullOctokit>>}
+ */
+const createUserTokenProvider = (options) => {
+    const {
+        clientID,
+        clientSecret,
+        onTokens = async () => {},
+        refreshMargin = REFRESH_MARGIN,
+        octokitOptions = {}
+    } = options;
+
+    if (typeof options.accessToken !== 'string' || options.accessToken.length === 0)
+        throw new Error('accessToken must be a non-empty string!');
+
+    if (typeof onTokens !== 'function')
+        throw new Error('onTokens must be a function!');
+
+    /** @type {OAuthTokens} */
+    let tokens = {
+        accessToken: options.accessToken,
+        refreshToken: options.refreshToken,
+        expiresAt: options.expiresAt ?? null,
+        refreshTokenExpiresAt: options.refreshTokenExpiresAt ?? null
+    };
+    let inFlightRefresh = null;
+    let cachedOctokit = null;
+
+    const refresh = () => {
+        if (inFlightRefresh)
+            return inFlightRefresh;
+
+        inFlightRefresh = (async () => {
+            if (!tokens.refreshToken)
+                throw new AuthError('Access token expired and there is no refresh token.');
+
+            if (tokens.refreshTokenExpiresAt !== null && Date.now() >= tokens.refreshTokenExpiresAt)
+                throw new AuthError('Refresh token expired. The user must authorize again.');
+
+            const refreshed = await refreshAccessToken({ clientID, clientSecret, refreshToken: tokens.refreshToken });
+
+            if (!refreshed.success)
+                throw refreshed.error;
+
+            tokens = refreshed.data;
+            await onTokens({ ...tokens });
+
+            return tokens.accessToken;
+        })().finally(() => {
+            inFlightRefresh = null;
+        });
+
+        return inFlightRefresh;
+    }
+
+    const getAccessToken = async () => {
+        if (tokens.expiresAt !== null && Date.now() >= tokens.expiresAt - refreshMargin)
+            return refresh();
+
+        return tokens.accessToken;
+    }
+
+    const authStrategy = () => Object.assign(
+        async () => ({ type: 'token', tokenType: 'oauth', token: await getAccessToken() }),
+        {
+            hook: async (request, route, parameters) => {
+                const endpoint = request.endpoint.merge(route, parameters);
+                const usedToken = await getAccessToken();
+
+                endpoint.headers.authorization = `token ${usedToken}`;
+
+                try {
+                    return await request(endpoint);
+                } catch (e) {
+                    if (e.status !== 401 || !tokens.refreshToken)
+                        throw e;
+
+                    log.info('Access token was rejected. Refreshing it.', { operation: 'createUserTokenProvider' });
+
+                    // Another request may have refreshed the token already.
+                    endpoint.headers.authorization = `token ${
+                        tokens.accessToken === usedToken ? await refresh() : tokens.accessToken
+                    }`;
+
+                    return request(endpoint);
+                }
+            }
+        }
+    );
+
+    return async () => {
+        try {
+            await getAccessToken();
+
+            if (!cachedOctokit)
+                cachedOctokit = new Octokit({ ...octokitOptions, authStrategy });
+
+            return { success: true, data: cachedOctokit };
+        } catch (e) {
+            log.error('Failed to create Octokit.', { operation: 'createUserTokenProvider', error: e });
+
+            return {
+                success: false,
+                error: e instanceof AuthError ? e : new AuthError('Failed to create Octokit.', { cause: e })
+            };
+        }
+    };
+}
+
+export { createUserTokenProvider };
+
+/**
+ * @typedef {Object} UserTokenProviderOptions
+ * @property {string} clientID - OAuth App client ID.
+ * @property {string} clientSecret - OAuth App client secret.
+ * @property {string} accessToken - The user's current access token.
+ * @property {string} [refreshToken] - The refresh token issued with the access token.
+ * @property {number | null} [expiresAt] - When the access token expires, in milliseconds since the epoch.
+ * @property {number | null} [refreshTokenExpiresAt] - When the refresh token expires, in milliseconds since the epoch.
+ * @property {(tokens: OAuthTokens) => Promise<void> | void} [onTokens] - Called with every new pair of tokens.
+ * @property {number} [refreshMargin] - How long before expiry to refresh, in milliseconds.
+ * @property {Object} [octokitOptions] - Options for the Octokit, e.g. `baseUrl` and `request.fetch` for GitHub
+ *     Enterprise Server. Its authentication is always the provider's.
+ */
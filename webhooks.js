@@ -0,0 +1,276 @@
+// @ts-check
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+import { createAppProvider } from './app-provider.js';
+import { executeSafely } from './executors/executeSafely.js';
+import { AuthError, ValidationError } from './errors.js';
+
+/**
+ * @typedef {import('./octokit-wrapper.js').FullOctokit} FullOctokit
+ */
+
+/**
+ * @template T
+ * @typedef {import('./octokit-wrapper.js').Result<T>} Result<T>
+ */
+
+/**
+ * How many delivery IDs are remembered to drop redeliveries, unless configured otherwise.
+ */
+const DELIVERY_CACHE_SIZE = 1000;
+
+/**
+ * The largest payload accepted, unless configured otherwise. GitHub caps webhook payloads at 25 MB.
+ */
+const MAX_PAYLOAD_SIZE = 25 * 1024 * 1024;
+
+/**
+ * Verifies the `X-Hub-Signature-256` header of a delivery in constant time.
+ * @param {string} secret - The webhook secret.
+ * @param {string | Buffer} payload - The raw request body, exactly as received.
+ * @param {string | undefined} signature - The `X-Hub-Signature-256` header.
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, payload, signature) => {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256='))
+        return false;
+
+    const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(payload).digest('hex')}`);
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Reads the raw body of a Node request, unless a body parser already did. Reading stops as soon as the body turns out
+ * to be larger than allowed.
+ * @param {import('node:http').IncomingMessage & { body?: any }} req
+ * @param {number} maxSize - The largest body accepted, in bytes.
+ * @returns {Promise<Buffer | string>}
+ * @throws {ValidationError} With status 413 if the body is too large.
+ */
+const readBody = async (req, maxSize) => {
+    const tooLarge = () => new ValidationError('Webhook payload is too large.', { status: 413 });
+
+    if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+        if (Buffer.byteLength(req.body) > maxSize)
+            throw tooLarge();
+
+        return req.body;
+    }
+
+    if (Number(req.headers?.['content-length']) > maxSize)
+        throw tooLarge();
+
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+
+        if (size > maxSize)
+            throw tooLarge();
+
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Creates a receiver for GitHub webhook deliveries.
+ * Deliveries are verified against the secret, deduplicated by delivery ID and dispatched to the handlers registered for
+ * the event (`pull_request`), the event and action (`pull_request.opened`) or every event (`*`). Handlers get an
+ * Octokit for the payload's installation, resolved through the app provider.
+ * @callback CreateWebhookReceiver
+ * @param {WebhookReceiverOptions} options
+ * @returns {WebhookReceiver}
+ */
+export const createWebhookReceiver = (options) => {
+    const {
+        secret,
+        path = null,
+        deliveryCacheSize = DELIVERY_CACHE_SIZE,
+        maxPayloadSize = MAX_PAYLOAD_SIZE
+    } = options;
+
+    if (typeof secret !== 'string' || secret.length === 0)
+        throw new Error('secret must be a non-empty string!');
+
+    const appProvider = options.appProvider ??
+        (options.appID && options.pem ? createAppProvider(options.appID, options.pem) : null);
+    const handlers = new Map();
+    const deliveries = new Set();
+
+    const on = (event, handler) => {
+        if (typeof event !== 'string' || event.length === 0)
+            throw new Error('event must be a non-empty string!');
+
+        if (typeof handler !== 'function')
+            throw new Error('handler must be a Function!');
+
+        if (!handlers.has(event))
+            handlers.set(event, []);
+
+        handlers.get(event).push(handler);
+    }
+
+    const remember = (id) => {
+        deliveries.add(id);
+
+        if (deliveries.size > deliveryCacheSize)
+            deliveries.delete(deliveries.values().next().value);
+    }
+
+    /**
+     * @param {WebhookDelivery} delivery
+     * @returns {Promise<Result<{ duplicate: boolean, handled: number }>>}
+     */
+    const receive = async ({ id, name, signature, payload }) => {
+        if (!verifySignature(secret, payload, signature))
+            return { success: false, error: new AuthError('Invalid webhook signature.', { status: 401 }) };
+
+        if (!id || !name)
+            return { success: false, error: new ValidationError('Missing webhook headers.', { status: 400 }) };
+
+        if (deliveries.has(id))
+            return { success: true, data: { duplicate: true, handled: 0 } };
+
+        let body;
+
+        try {
+            body = JSON.parse(payload.toString());
+        } catch (e) {
+            return {
+                success: false,
+                error: new ValidationError('Invalid webhook payload.', { status: 400, cause: e })
+            };
+        }
+
+        remember(id);
+
+        const matching = [
+            ...(handlers.get('*') ?? []),
+            ...(handlers.get(name) ?? []),
+            ...(body.action ? handlers.get(`${name}.${body.action}`) ?? [] : [])
+        ];
+
+        if (!matching.length)
+            return { success: true, data: { duplicate: false, handled: 0 } };
+
+        let octokit = null;
+
+        if (appProvider && body.installation?.id) {
+            const installationOctokit = await appProvider.forInstallation(body.installation.id);
+
+            if (!installationOctokit.success) {
+                deliveries.delete(id);
+
+                return installationOctokit;
+            }
+
+            octokit = installationOctokit.data;
+        }
+
+        const event = { id, name, action: body.action ?? null, payload: body, octokit };
+        const results = await Promise.all(matching.map((handler) => executeSafely(handler, event)));
+        const errors = results.filter(([success]) => !success).map(([, error]) => error);
+
+        if (errors.length) {
+            // Let GitHub's redelivery through once handling failed.
+            deliveries.delete(id);
+
+            return { success: false, error: new AggregateError(errors, `${errors.length} webhook handler(s) failed.`) };
+        }
+
+        return { success: true, data: { duplicate: false, handled: matching.length } };
+    }
+
+    /**
+     * @param {import('node:http').IncomingMessage & { body?: any }} req
+     * @param {import('node:http').ServerResponse} res
+     * @param {() => void} [next] - Called for requests to other paths, when a path is configured.
+     */
+    const middleware = async (req, res, next) => {
+        if (path !== null && req.url?.split('?')[0] !== path) {
+            if (next)
+                return next();
+
+            res.statusCode = 404;
+            return res.end();
+        }
+
+        if (req.method !== 'POST') {
+            res.statusCode = 405;
+            return res.end();
+        }
+
+        let payload;
+
+        try {
+            payload = await readBody(req, maxPayloadSize);
+        } catch (e) {
+            res.setHeader('content-type', 'application/json');
+
+            if (e.status === 413) {
+                // The rest of the body is never read, so the connection cannot be reused.
+                res.statusCode = 413;
+                res.setHeader('connection', 'close');
+                return res.end(JSON.stringify({ error: e.message }));
+            }
+
+            // The client went away or the body stream broke.
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ error: 'Could not read webhook payload.' }));
+        }
+
+        const result = await receive({
+            id: /** @type {string} */ (req.headers['x-github-delivery']),
+            name: /** @type {string} */ (req.headers['x-github-event']),
+            signature: /** @type {string} */ (req.headers['x-hub-signature-256']),
+            payload
+        });
+
+        res.statusCode = result.success ? 200 : result.error.status ?? 500;
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(result.success ? result.data : { error: result.error.message }));
+    }
+
+    return { on, receive, middleware };
+}
+
+/**
+ * @typedef {Object} WebhookReceiverOptions
+ * @property {string} secret - The webhook secret.
+ * @property {string | null} [path] - Only handle requests to this path, e.g. `/api/github/webhooks`.
+ * @property {import('./app-provider.js').AppProvider} [appProvider] - Resolves the Octokit of an installation.
+ * @property {string} [appID] - Used to create an app provider when none is given.
+ * @property {string} [pem] - Used to create an app provider when none is given.
+ * @property {number} [deliveryCacheSize] - How many delivery IDs to remember.
+ * @property {number} [maxPayloadSize] - The largest payload the middleware accepts, in bytes. Defaults to 25 MB.
+ */
+
+/**
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - The `X-GitHub-Delivery` header.
+ * @property {string} name - The `X-GitHub-Event` header.
+ * @property {string} signature - The `X-Hub-Signature-256` header.
+ * @property {string | Buffer} payload - The raw request body.
+ */
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} id - The delivery ID.
+ * @property {string} name - The event name.
+ * @property {string | null} action
+ * @property {any} payload
+ * @property {FullOctokit | null} octokit - Authenticated as the payload's installation, if any.
+ */
+
+/**
+ * @typedef {Object} WebhookReceiver
+ * @property {(event: string, handler: (event: WebhookEvent) => any) => void} on
+ * @property {(delivery: WebhookDelivery) => Promise<Result<{ duplicate: boolean, handled: number }>>} receive
+ * @property {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse, next?: () => void) => Promise<void>} middleware
+ */